@@ -0,0 +1,485 @@
+// ====== Speech Scenes — grammar.js ======
+// Morphology for sentence targets: verb agreement and tenses, plurals, a/an/the/some — for English,
+// plus the Spanish and French language packs (LANGUAGE_GRAMMARS at the bottom).
+// Works as a browser global (window.Grammar) and as a CommonJS module (scene-core.js, tools/).
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.Grammar = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  const TENSES = ['present', 'progressive', 'past'];
+
+  /**
+   * Sentence frames. subject: null draws the scene's character and names it ("Sam", "The person"),
+   * "pronoun" draws it and uses its pronoun ("She"), "I" draws no character; verb: null uses the pictured verb, otherwise a fixed one (only nouns are pictured);
+   * article: how the object is introduced; tenses: the ones that sound natural in the frame.
+   */
+  const SENTENCE_FRAMES = {
+    'subject-verb-object': { label: 'Sam ___s the ___', subject: null, verb: null, article: 'definite', tenses: TENSES },
+    'pronoun-verb-object': { label: 'She ___s the ___', subject: 'pronoun', verb: null, article: 'definite', tenses: TENSES },
+    'i-verb-object':       { label: 'I ___ the ___', subject: 'I', verb: null, article: 'definite', tenses: TENSES },
+    'i-see':               { label: 'I see a ___', subject: 'I', verb: 'see', article: 'indefinite', tenses: ['present', 'past'] }
+  };
+  const DEFAULT_GRAMMAR = { frame: 'subject-verb-object', tense: 'present' };
+
+  // ---- Verbs ----
+  // base → [3rd person singular, past]; everything else follows the spelling rules below
+  const IRREGULAR_VERBS = {
+    be: ['is', 'was'], have: ['has', 'had'], do: ['does', 'did'], go: ['goes', 'went'],
+    begin: [null, 'began'], bite: [null, 'bit'], blow: [null, 'blew'], break: [null, 'broke'], bring: [null, 'brought'],
+    build: [null, 'built'], buy: [null, 'bought'], catch: [null, 'caught'], choose: [null, 'chose'], come: [null, 'came'],
+    cut: [null, 'cut'], dig: [null, 'dug'], draw: [null, 'drew'], drink: [null, 'drank'], drive: [null, 'drove'],
+    eat: [null, 'ate'], fall: [null, 'fell'], feed: [null, 'fed'], feel: [null, 'felt'], find: [null, 'found'],
+    fly: [null, 'flew'], forget: [null, 'forgot'], freeze: [null, 'froze'], get: [null, 'got'], give: [null, 'gave'],
+    grow: [null, 'grew'], hang: [null, 'hung'], hide: [null, 'hid'], hit: [null, 'hit'], hold: [null, 'held'],
+    keep: [null, 'kept'], know: [null, 'knew'], leave: [null, 'left'], light: [null, 'lit'], lose: [null, 'lost'],
+    make: [null, 'made'], meet: [null, 'met'], pay: [null, 'paid'], put: [null, 'put'], read: [null, 'read'],
+    ride: [null, 'rode'], ring: [null, 'rang'], run: [null, 'ran'], say: [null, 'said'], see: [null, 'saw'],
+    sell: [null, 'sold'], send: [null, 'sent'], shake: [null, 'shook'], shoot: [null, 'shot'], sing: [null, 'sang'],
+    sit: [null, 'sat'], sleep: [null, 'slept'], speak: [null, 'spoke'], spin: [null, 'spun'], stand: [null, 'stood'],
+    steal: [null, 'stole'], stick: [null, 'stuck'], sweep: [null, 'swept'], swim: [null, 'swam'], swing: [null, 'swung'],
+    take: [null, 'took'], teach: [null, 'taught'], tear: [null, 'tore'], tell: [null, 'told'], think: [null, 'thought'],
+    throw: [null, 'threw'], wake: [null, 'woke'], wear: [null, 'wore'], weave: [null, 'wove'], win: [null, 'won'],
+    write: [null, 'wrote']
+  };
+  // Two-syllable verbs stressed on the last syllable double their final consonant like one-syllable ones
+  const DOUBLES_FINAL = ['begin', 'forget', 'occur', 'prefer', 'refer', 'admit', 'commit', 'control', 'patrol', 'regret', 'upset'];
+
+  const isVowel = ch => 'aeiou'.includes(ch);
+  const vowelGroups = word => (word.match(/[aeiouy]+/g) || []).length;
+
+  // sip → sipp(ing): one short vowel then one consonant, in a stressed final syllable
+  function doublesFinal(verb) {
+    if (!/[^aeiou][aeiou][b-df-hj-np-tvz]$/.test(verb)) return false;
+    return DOUBLES_FINAL.includes(verb) || vowelGroups(verb) === 1;
+  }
+
+  // "wake up" conjugates its first word only
+  function splitVerb(verb) {
+    const [head, ...rest] = String(verb).trim().split(/\s+/);
+    return { head: head.toLowerCase(), tail: rest.length ? ` ${rest.join(' ')}` : '' };
+  }
+
+  function thirdPerson(verb) {
+    const { head, tail } = splitVerb(verb);
+    const irregular = IRREGULAR_VERBS[head] && IRREGULAR_VERBS[head][0];
+    if (irregular) return irregular + tail;
+    if (/(s|x|z|ch|sh)$/.test(head) || /[^aeiou]o$/.test(head)) return `${head}es${tail}`;
+    if (/[^aeiou]y$/.test(head)) return `${head.slice(0, -1)}ies${tail}`;
+    return `${head}s${tail}`;
+  }
+
+  function presentParticiple(verb) {
+    const { head, tail } = splitVerb(verb);
+    if (head === 'be') return `being${tail}`;
+    if (/ie$/.test(head)) return `${head.slice(0, -2)}ying${tail}`;
+    if (/[^eoy]e$/.test(head)) return `${head.slice(0, -1)}ing${tail}`;
+    if (doublesFinal(head)) return `${head}${head.slice(-1)}ing${tail}`;
+    return `${head}ing${tail}`;
+  }
+
+  function pastTense(verb) {
+    const { head, tail } = splitVerb(verb);
+    const irregular = IRREGULAR_VERBS[head] && IRREGULAR_VERBS[head][1];
+    if (irregular) return irregular + tail;
+    if (/e$/.test(head)) return `${head}d${tail}`;
+    if (/[^aeiou]y$/.test(head)) return `${head.slice(0, -1)}ied${tail}`;
+    if (doublesFinal(head)) return `${head}${head.slice(-1)}ed${tail}`;
+    return `${head}ed${tail}`;
+  }
+
+  /**
+   * The verb phrase for a subject: person 1 ("I") or 3, plural for "they"/"the people".
+   * conjugate("sip", "progressive", { person: 3 }) → "is sipping"
+   */
+  function conjugate(verb, tense = 'present', { person = 3, plural = false } = {}) {
+    const be = plural ? 'are' : person === 1 ? 'am' : 'is';
+    const { head, tail } = splitVerb(verb);
+    if (tense === 'progressive') return `${be} ${presentParticiple(verb)}`;
+    if (head === 'be') return (tense === 'past' ? (plural ? 'were' : 'was') : be) + tail;
+    if (tense === 'past') return pastTense(verb);
+    return person === 3 && !plural ? thirdPerson(verb) : `${head}${tail}`;
+  }
+
+  // ---- Subjects ----
+  // "she/her" → "she"; anything unrecognised is "they"
+  function subjectPronoun(pronouns) {
+    const subject = String(pronouns || '').split('/')[0].trim().toLowerCase();
+    return ['she', 'he', 'they'].includes(subject) ? subject : 'they';
+  }
+
+  // ---- Nouns ----
+  // Plurals that don't end in -s
+  const IRREGULAR_PLURALS = ['children', 'feet', 'geese', 'men', 'mice', 'people', 'teeth', 'women'];
+
+  /**
+   * "singular", "plural" or "mass" (milk, soup): the entry's "number" field when it has one,
+   * otherwise plural when it ends in a plural -s (shoes, radishes; not bus, glass, iris).
+   */
+  function nounNumber(entry) {
+    if (entry && ['singular', 'plural', 'mass'].includes(entry.number)) return entry.number;
+    const last = String(entry && entry.word || '').toLowerCase().split(/\s+/).pop();
+    return IRREGULAR_PLURALS.includes(last) || /[^siu]s$/.test(last) ? 'plural' : 'singular';
+  }
+
+  // ---- Articles ----
+  // "an" before a vowel sound: the entry's pronunciation decides when it has one, else the spelling
+  function startsWithVowelSound(word, pronunciation = null) {
+    if (pronunciation) return /^[aeiouɑæʌɔɛɪʊəɚɝ]/.test(String(pronunciation).trim());
+    const w = String(word).trim().toLowerCase();
+    if (/^(hour|honest|honou?r|heir)/.test(w)) return true;
+    if (/^(one|once|eu|ewe|u[bcfgklmrst][aeiou]|uni|use|usu)/.test(w)) return false;
+    return isVowel(w[0] || '');
+  }
+
+  /**
+   * "the", "a", "an" or "some" for a noun (entry) in a phrase that starts with firstEntry
+   * (its adjective, when there is one). definite: "the soup"; indefinite: "a cat", "an owl", "some shoes".
+   */
+  function article(noun, definite, firstEntry = noun) {
+    if (definite) return 'the';
+    if (nounNumber(noun) !== 'singular') return 'some';
+    return startsWithVowelSound(firstEntry.word, firstEntry.pronunciation) ? 'an' : 'a';
+  }
+
+  function capitalize(text) {
+    return text ? text[0].toUpperCase() + text.slice(1) : text;
+  }
+
+  // ---- Story openers ----
+  // First, Then, Next, After that … Last: n openers from a language's { first, middle, last }
+  function openers({ first, middle, last }, n) {
+    return Array.from({ length: n }, (_, i) => i === 0 ? first : i === n - 1 ? last : middle[(i - 1) % middle.length]);
+  }
+
+  // ---- Spanish ----
+  // Present, preterite and gerund: [yo, él/ella, ellos] forms, or null where the regular rules apply
+  const ES_IRREGULAR_VERBS = {
+    estar:  [['estoy', 'está', 'están'], ['estuve', 'estuvo', 'estuvieron'], 'estando'],
+    ser:    [['soy', 'es', 'son'], ['fui', 'fue', 'fueron'], 'siendo'],
+    ir:     [['voy', 'va', 'van'], ['fui', 'fue', 'fueron'], 'yendo'],
+    ver:    [['veo', 've', 'ven'], ['vi', 'vio', 'vieron'], 'viendo'],
+    dar:    [['doy', 'da', 'dan'], ['di', 'dio', 'dieron'], 'dando'],
+    tener:  [['tengo', 'tiene', 'tienen'], ['tuve', 'tuvo', 'tuvieron'], 'teniendo'],
+    hacer:  [['hago', 'hace', 'hacen'], ['hice', 'hizo', 'hicieron'], 'haciendo'],
+    poner:  [['pongo', 'pone', 'ponen'], ['puse', 'puso', 'pusieron'], 'poniendo'],
+    decir:  [['digo', 'dice', 'dicen'], ['dije', 'dijo', 'dijeron'], 'diciendo'],
+    'reír': [['río', 'ríe', 'ríen'], ['reí', 'rio', 'rieron'], 'riendo'],
+    dormir: [['duermo', 'duerme', 'duermen'], ['dormí', 'durmió', 'durmieron'], 'durmiendo'],
+    jugar:  [['juego', 'juega', 'juegan'], ['jugué', 'jugó', 'jugaron'], 'jugando'],
+    pensar: [['pienso', 'piensa', 'piensan'], null, null],
+    cerrar: [['cierro', 'cierra', 'cierran'], null, null],
+    mover:  [['muevo', 'mueve', 'mueven'], null, null],
+    volar:  [['vuelo', 'vuela', 'vuelan'], null, null]
+  };
+  const ES_ENDINGS = {
+    ar: { present: ['o', 'a', 'an'], past: ['é', 'ó', 'aron'], gerund: 'ando' },
+    er: { present: ['o', 'e', 'en'], past: ['í', 'ió', 'ieron'], gerund: 'iendo' },
+    ir: { present: ['o', 'e', 'en'], past: ['í', 'ió', 'ieron'], gerund: 'iendo' }
+  };
+  const slot = ({ person = 3, plural = false }) => plural ? 2 : person === 1 ? 0 : 1;
+
+  // One form of a single-word verb; leer → leyó/leyendo, tocar → toqué
+  function spanishForm(verb, tense, subject) {
+    const irregular = ES_IRREGULAR_VERBS[verb];
+    const i = slot(subject);
+    if (tense === 'gerund' && irregular && irregular[2]) return irregular[2];
+    if (tense !== 'gerund' && irregular && irregular[tense === 'past' ? 1 : 0]) return irregular[tense === 'past' ? 1 : 0][i];
+    const ending = ES_ENDINGS[verb.slice(-2)];
+    if (!ending) return verb;
+    const stem = verb.slice(0, -2);
+    const vowelStem = ending !== ES_ENDINGS.ar && /[aeo]$/.test(stem); // leer, caer, creer
+    if (tense === 'gerund') return vowelStem ? `${stem}yendo` : stem + ending.gerund;
+    if (tense === 'past') {
+      if (vowelStem && i > 0) return stem + ['', 'yó', 'yeron'][i];
+      if (i === 0 && ending === ES_ENDINGS.ar) {
+        if (/c$/.test(stem)) return `${stem.slice(0, -1)}qué`;
+        if (/g$/.test(stem)) return `${stem}ué`;
+        if (/z$/.test(stem)) return `${stem.slice(0, -1)}cé`;
+      }
+      return stem + ending.past[i];
+    }
+    return stem + ending.present[i];
+  }
+
+  // "está bebiendo", "bebió"; phrasal verbs conjugate their first word only. Reflexive (-se) verbs aren't handled.
+  function spanishConjugate(verb, tense = 'present', subject = {}) {
+    const { head, tail } = splitVerb(verb);
+    if (tense === 'progressive') return `${spanishForm('estar', 'present', subject)} ${spanishForm(head, 'gerund', subject)}${tail}`;
+    return spanishForm(head, tense === 'past' ? 'past' : 'present', subject) + tail;
+  }
+
+  // The entry's "gender", else a guess from the ending (la mesa, la canción; el libro)
+  function spanishGender(entry) {
+    if (entry && entry.gender) return entry.gender;
+    const last = String(entry && entry.word || '').toLowerCase().split(/\s+/)[0];
+    return /(a|as|ión|dad|tad|tud|umbre)$/.test(last) ? 'feminine' : 'masculine';
+  }
+
+  // rojo → roja/rojos/rojas, azul → azules; the word bank lists adjectives in the masculine singular
+  function spanishAdjective(word, gender, plural) {
+    let form = String(word);
+    if (gender === 'feminine') {
+      if (/o$/.test(form)) form = `${form.slice(0, -1)}a`;
+      else if (/or$/.test(form)) form = `${form}a`;
+    }
+    if (!plural) return form;
+    if (/z$/.test(form)) return `${form.slice(0, -1)}ces`;
+    return /[aeiouáéó]$/.test(form) ? `${form}s` : `${form}es`;
+  }
+
+  // el/la/los/las, un/una/unos/unas; mass nouns go without an indefinite article ("veo leche")
+  function spanishNounPhrase(object, adjective, definite) {
+    const head = object || adjective;
+    const gender = object ? spanishGender(object) : 'masculine';
+    const plural = object ? nounNumber(object) === 'plural' : false;
+    const mass = object && nounNumber(object) === 'mass';
+    const articles = definite ? ['el', 'la', 'los', 'las'] : ['un', 'una', 'unos', 'unas'];
+    const tokens = [];
+    if (head && !(mass && !definite)) tokens.push({ word: articles[(plural ? 2 : 0) + (gender === 'feminine' ? 1 : 0)] });
+    if (object) tokens.push({ word: object.word, item: object });
+    if (adjective) tokens.push({ word: spanishAdjective(adjective.word, gender, plural), item: adjective });
+    return tokens;
+  }
+
+  // a + el → al, de + el → del
+  function spanishContract(tokens) {
+    const out = [];
+    for (const token of tokens) {
+      const prev = out[out.length - 1];
+      if (prev && !prev.item && token.word === 'el' && ['a', 'de'].includes(prev.word)) prev.word = prev.word === 'a' ? 'al' : 'del';
+      else out.push({ ...token });
+    }
+    return out;
+  }
+
+  // ---- French ----
+  // Present [je, il/elle, ils] and past participle, or null where the regular rules apply
+  const FR_IRREGULAR_VERBS = {
+    'être':   [['suis', 'est', 'sont'], 'été'],
+    avoir:    [['ai', 'a', 'ont'], 'eu'],
+    aller:    [['vais', 'va', 'vont'], 'allé'],
+    faire:    [['fais', 'fait', 'font'], 'fait'],
+    voir:     [['vois', 'voit', 'voient'], 'vu'],
+    boire:    [['bois', 'boit', 'boivent'], 'bu'],
+    lire:     [['lis', 'lit', 'lisent'], 'lu'],
+    'écrire': [['écris', 'écrit', 'écrivent'], 'écrit'],
+    dire:     [['dis', 'dit', 'disent'], 'dit'],
+    dormir:   [['dors', 'dort', 'dorment'], 'dormi'],
+    courir:   [['cours', 'court', 'courent'], 'couru'],
+    rire:     [['ris', 'rit', 'rient'], 'ri'],
+    prendre:  [['prends', 'prend', 'prennent'], 'pris'],
+    mettre:   [['mets', 'met', 'mettent'], 'mis'],
+    ouvrir:   [['ouvre', 'ouvre', 'ouvrent'], 'ouvert'],
+    venir:    [['viens', 'vient', 'viennent'], 'venu'],
+    tenir:    [['tiens', 'tient', 'tiennent'], 'tenu'],
+    partir:   [['pars', 'part', 'partent'], 'parti'],
+    sortir:   [['sors', 'sort', 'sortent'], 'sorti'],
+    savoir:   [['sais', 'sait', 'savent'], 'su'],
+    appeler:  [['appelle', 'appelle', 'appellent'], null],
+    jeter:    [['jette', 'jette', 'jettent'], null]
+  };
+  // Verbs whose passé composé takes être (and agrees with the subject)
+  const FR_ETRE_VERBS = ['aller', 'venir', 'arriver', 'partir', 'entrer', 'rentrer', 'sortir', 'monter', 'descendre', 'tomber', 'rester', 'retourner', 'revenir', 'devenir', 'naître', 'mourir'];
+  // -ir verbs that conjugate like finir (finis, finit, finissent)
+  const FR_ENDINGS = {
+    er: { present: ['e', 'e', 'ent'], participle: 'é' },
+    ir: { present: ['is', 'it', 'issent'], participle: 'i' },
+    re: { present: ['s', '', 'ent'], participle: 'u' }
+  };
+  // Words starting with an h that doesn't elide (le hibou, not l'hibou)
+  const FR_H_ASPIRE = ['hache', 'hamac', 'hamburger', 'hamster', 'haricot', 'haut', 'hérisson', 'héros', 'hibou', 'hockey', 'homard', 'hotte', 'housse'];
+
+  function frenchElides(word) {
+    const w = String(word).toLowerCase();
+    if (/^h/.test(w)) return !FR_H_ASPIRE.some(h => w.startsWith(h));
+    return /^[aeiouyàâéèêëîïôûœ]/.test(w);
+  }
+
+  // lever → lève, préférer → préfère: an e/é before the stem's last consonant becomes è before a silent ending
+  function frenchPresent(verb, i) {
+    const irregular = FR_IRREGULAR_VERBS[verb];
+    if (irregular && irregular[0]) return irregular[0][i];
+    const ending = FR_ENDINGS[verb.slice(-2)];
+    if (!ending) return verb;
+    let stem = verb.slice(0, -2);
+    if (ending === FR_ENDINGS.er) stem = stem.replace(/[eé](ch|[bcdfgptv][rl]|[^aeiouyé])$/, 'è$1');
+    return stem + ending.present[i];
+  }
+
+  function frenchParticiple(verb) {
+    const irregular = FR_IRREGULAR_VERBS[verb];
+    if (irregular && irregular[1]) return irregular[1];
+    const ending = FR_ENDINGS[verb.slice(-2)];
+    return ending ? verb.slice(0, -2) + ending.participle : verb;
+  }
+
+  // "est en train de manger", "a mangé", "est tombée"; phrasal verbs conjugate their first word only
+  function frenchConjugate(verb, tense = 'present', subject = {}) {
+    const { head, tail } = splitVerb(verb);
+    const i = slot(subject);
+    if (tense === 'progressive') return `${frenchPresent('être', i)} en train ${frenchElides(head) ? "d'" : 'de '}${head}${tail}`;
+    if (tense === 'past') {
+      if (!FR_ETRE_VERBS.includes(head)) return `${frenchPresent('avoir', i)} ${frenchParticiple(head)}${tail}`;
+      const agreement = (subject.gender === 'feminine' ? 'e' : '') + (subject.plural ? 's' : '');
+      return `${frenchPresent('être', i)} ${frenchParticiple(head)}${agreement}${tail}`;
+    }
+    return frenchPresent(head, i) + tail;
+  }
+
+  // Adjectives that go before the noun (le petit chat, la grande table); the rest follow it
+  const FR_BEFORE_NOUN = ['beau', 'bon', 'gentil', 'grand', 'gros', 'haut', 'jeune', 'joli', 'long', 'mauvais', 'nouveau', 'petit', 'vieux'];
+  const FR_FEMININE = { beau: 'belle', blanc: 'blanche', bon: 'bonne', doux: 'douce', 'épais': 'épaisse', faux: 'fausse', frais: 'fraîche', gentil: 'gentille', gros: 'grosse', long: 'longue', nouveau: 'nouvelle', sec: 'sèche', vieux: 'vieille' };
+
+  // The entry's "gender", else a guess from the ending (la table, la maison; le chat)
+  function frenchGender(entry) {
+    if (entry && entry.gender) return entry.gender;
+    const last = String(entry && entry.word || '').toLowerCase().split(/\s+/)[0];
+    return /(e|es|tion|sion)$/.test(last) ? 'feminine' : 'masculine';
+  }
+
+  // noir → noire/noirs/noires, heureux → heureuse; the word bank lists adjectives in the masculine singular
+  function frenchAdjective(word, gender, plural) {
+    let form = String(word);
+    if (gender === 'feminine') {
+      if (FR_FEMININE[form]) form = FR_FEMININE[form];
+      else if (/eux$/.test(form)) form = `${form.slice(0, -1)}se`;
+      else if (/if$/.test(form)) form = `${form.slice(0, -1)}ve`;
+      else if (/er$/.test(form)) form = `${form.slice(0, -2)}ère`;
+      else if (/(el|en|on)$/.test(form)) form = `${form}${form.slice(-1)}e`;
+      else if (!/e$/.test(form)) form = `${form}e`;
+    }
+    if (!plural || /[sx]$/.test(form)) return form;
+    if (/(eau|eu)$/.test(form)) return `${form}x`;
+    if (/al$/.test(form) && gender !== 'feminine') return `${form.slice(0, -2)}aux`;
+    return `${form}s`;
+  }
+
+  // le/la/les, un/une/des; mass nouns take the partitive de + le/la (du lait, de la soupe, de l'eau)
+  function frenchNounPhrase(object, adjective, definite) {
+    const head = object || adjective;
+    const gender = object ? frenchGender(object) : 'masculine';
+    const number = object ? nounNumber(object) : 'singular';
+    const plural = number === 'plural';
+    const tokens = [];
+    if (head) {
+      if (plural) tokens.push({ word: definite ? 'les' : 'des' });
+      else if (!definite && number === 'singular') tokens.push({ word: gender === 'feminine' ? 'une' : 'un' });
+      else tokens.push(...(definite ? [] : [{ word: 'de' }]), { word: gender === 'feminine' ? 'la' : 'le' });
+    }
+    const adj = adjective && { word: frenchAdjective(adjective.word, gender, plural), item: adjective };
+    if (adj && FR_BEFORE_NOUN.includes(adjective.word)) tokens.push(adj);
+    if (object) tokens.push({ word: object.word, item: object });
+    if (adj && !FR_BEFORE_NOUN.includes(adjective.word)) tokens.push(adj);
+    return tokens;
+  }
+
+  // je/le/la/de elide before a vowel (j'ai, l'avion), then à/de + le/les contract (au, aux, du, des)
+  function frenchContract(tokens) {
+    const elided = tokens.map((token, i) => {
+      const next = tokens[i + 1];
+      const elides = !token.item && ['je', 'le', 'la', 'de'].includes(token.word) && next && frenchElides(next.word);
+      return elides ? { ...token, word: `${token.word[0]}'`, glue: true } : { ...token };
+    });
+    const out = [];
+    for (const token of elided) {
+      const prev = out[out.length - 1];
+      const merged = prev && !prev.item && ['à', 'de'].includes(prev.word) && { le: prev.word === 'à' ? 'au' : 'du', les: prev.word === 'à' ? 'aux' : 'des' }[token.word];
+      if (merged) prev.word = merged;
+      else out.push(token);
+    }
+    return out;
+  }
+
+  // ---- Languages ----
+  /**
+   * Sentence grammar per language pack. frames: the sentence templates the pack offers (same ids in
+   * every language); subject(kind, { name, pronoun }) → { word, person, plural, gender, proper } for
+   * kind "I", "pronoun", "name" or "person" (the placeholder); conjugate(verb, tense, subject);
+   * nounPhrase(object, adjective, definite) → tokens; contract(tokens) → tokens; sequence: story openers.
+   * Tokens are { word, item?, glue? }: item marks a target word, glue joins the next word without a space (l'avion).
+   */
+  const GENDERS = { she: 'feminine', he: 'masculine', they: 'masculine' };
+
+  const LANGUAGE_GRAMMARS = {
+    en: {
+      frames: SENTENCE_FRAMES,
+      subject(kind, { name, pronoun } = {}) {
+        if (kind === 'I') return { word: 'I', person: 1, plural: false, proper: true };
+        if (kind === 'name') return { word: name, person: 3, plural: false, proper: true };
+        if (kind === 'pronoun') {
+          const p = subjectPronoun(pronoun);
+          return { word: p, person: 3, plural: p === 'they' };
+        }
+        return { word: 'the person', person: 3, plural: false };
+      },
+      conjugate,
+      nounPhrase(object, adjective, definite) {
+        const head = object || adjective;
+        return [
+          head && { word: article(head, definite, adjective || head) },
+          adjective && { word: adjective.word, item: adjective },
+          object && { word: object.word, item: object }
+        ].filter(Boolean);
+      },
+      contract: tokens => tokens,
+      sequence: { first: 'First', middle: ['Then', 'Next', 'After that'], last: 'Last' }
+    },
+    es: {
+      frames: {
+        'subject-verb-object': { ...SENTENCE_FRAMES['subject-verb-object'], label: 'Sam ___ el ___' },
+        'pronoun-verb-object': { ...SENTENCE_FRAMES['pronoun-verb-object'], label: 'Ella ___ el ___' },
+        'i-verb-object':       { ...SENTENCE_FRAMES['i-verb-object'], label: '(Yo) ___ el ___' },
+        'i-see':               { ...SENTENCE_FRAMES['i-see'], label: 'Veo un ___', verb: 'ver' }
+      },
+      // Spanish drops "yo": "Veo un gato."
+      subject(kind, { name, pronoun } = {}) {
+        if (kind === 'I') return { word: '', person: 1, plural: false };
+        if (kind === 'name') return { word: name, person: 3, plural: false, gender: GENDERS[subjectPronoun(pronoun)], proper: true };
+        if (kind === 'pronoun') {
+          const p = subjectPronoun(pronoun);
+          return { word: { she: 'ella', he: 'él', they: 'elle' }[p], person: 3, plural: false, gender: GENDERS[p] };
+        }
+        return { word: 'la persona', person: 3, plural: false, gender: 'feminine' };
+      },
+      conjugate: spanishConjugate,
+      nounPhrase: spanishNounPhrase,
+      contract: spanishContract,
+      sequence: { first: 'Primero', middle: ['Luego', 'Después', 'Más tarde'], last: 'Al final' }
+    },
+    fr: {
+      frames: {
+        'subject-verb-object': { ...SENTENCE_FRAMES['subject-verb-object'], label: 'Sam ___ le ___' },
+        'pronoun-verb-object': { ...SENTENCE_FRAMES['pronoun-verb-object'], label: 'Elle ___ le ___' },
+        'i-verb-object':       { ...SENTENCE_FRAMES['i-verb-object'], label: 'Je ___ le ___' },
+        'i-see':               { ...SENTENCE_FRAMES['i-see'], label: 'Je vois un ___', verb: 'voir' }
+      },
+      subject(kind, { name, pronoun } = {}) {
+        if (kind === 'I') return { word: 'je', person: 1, plural: false };
+        if (kind === 'name') return { word: name, person: 3, plural: false, gender: GENDERS[subjectPronoun(pronoun)], proper: true };
+        if (kind === 'pronoun') {
+          const p = subjectPronoun(pronoun);
+          return { word: { she: 'elle', he: 'il', they: 'iel' }[p], person: 3, plural: false, gender: GENDERS[p] };
+        }
+        return { word: 'la personne', person: 3, plural: false, gender: 'feminine' };
+      },
+      conjugate: frenchConjugate,
+      nounPhrase: frenchNounPhrase,
+      contract: frenchContract,
+      sequence: { first: "D'abord", middle: ['Ensuite', 'Puis', 'Après'], last: 'Enfin' }
+    }
+  };
+
+  // A pack's grammar; languages without one fall back to English
+  function grammarFor(language) {
+    return LANGUAGE_GRAMMARS[language] || LANGUAGE_GRAMMARS.en;
+  }
+
+  return {
+    TENSES, SENTENCE_FRAMES, DEFAULT_GRAMMAR, IRREGULAR_VERBS,
+    thirdPerson, presentParticiple, pastTense, conjugate, subjectPronoun,
+    nounNumber, startsWithVowelSound, article, capitalize, openers,
+    spanishConjugate, spanishAdjective, frenchConjugate, frenchAdjective,
+    LANGUAGE_GRAMMARS, grammarFor
+  };
+});
@@ -0,0 +1,778 @@
+// ====== Speech Scenes — i18n.js ======
+// Interface and message strings for each language pack; English is the fallback for any missing key.
+// Works as a browser global (window.I18n) and as a CommonJS module (scene-core.js, tools/).
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.I18n = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  // key → text with {placeholders}, or a function of the placeholders where the wording depends on a number
+  const STRINGS = {
+    en: {
+      // index.html
+      'ui.title': 'Speech Scenes — sentence generator',
+      'ui.language': 'Language:',
+      'ui.sceneLabel': 'Generated scene',
+      'ui.playLabel': 'Play mode',
+      'ui.client': 'Client:',
+      'ui.noClient': '— no client —',
+      'ui.newClient': 'New client',
+      'ui.newSession': 'Start new session',
+      'ui.phonemesHeading': 'Phonemes & Clusters',
+      'ui.selectAll': 'Select all',
+      'ui.clear': 'Clear',
+      'ui.phonemeTip': 'Tip: You can pick single phonemes (IPA, e.g., /s/, /ʃ/) and/or clusters (e.g., /bl/, /str/).',
+      'ui.syllables': 'Number of syllables:',
+      'ui.syllablesHint': 'Leave all unchecked to include any syllable length.',
+      'ui.categories': 'Categories:',
+      'ui.themed': 'Themed scene (one category per page; not Sentence)',
+      'ui.categoriesHint': 'Leave all unchecked to include every category. Counts are nouns and verbs matching your other filters.',
+      'ui.positions': 'Positions:',
+      'ui.scene': 'Scene:',
+      'scene.i-spy': 'I-spy (nouns)',
+      'scene.actions': 'Actions (verbs)',
+      'scene.mixed': 'Mixed',
+      'scene.sentence': 'Sentence (S–V–O)',
+      'scene.story': 'Story strip (sequencing)',
+      'scene.descriptive': 'Describing (Adj + Noun)',
+      'scene.bingo': 'Bingo cards',
+      'scene.bingo-caller': 'Bingo caller cards',
+      'scene.memory': 'Memory / matching cards',
+      'scene.minimal-pairs': 'Minimal pairs',
+      'ui.layout': 'Layout:',
+      'layout.scatter': 'Scattered',
+      'layout.grid': 'Grid',
+      'layout.shelf': 'Rows (packed)',
+      'ui.board': 'Board:',
+      'ui.freeSpace': 'Free space (3×3/5×5)',
+      'ui.memory': 'Memory:',
+      'memory.picture-picture': 'picture–picture',
+      'memory.picture-word': 'picture–word',
+      'ui.target': 'Target:',
+      'ui.contrast': 'Contrast:',
+      'ui.frame': 'Frame:',
+      'ui.tense': 'Tense:',
+      'ui.captions': 'Captions under pictures',
+      'ui.character': 'Character:',
+      'ui.rotate': 'Rotate',
+      'ui.characterSounds': 'Names with the target sounds',
+      'ui.storyShuffle': 'Shuffled cut-out panels',
+      'ui.showLabels': 'Show labels',
+      'ui.outline': 'Add outlines (fallback blocks)',
+      'ui.backgrounds': 'Random background (Sentence/Story)',
+      'ui.adjectives': 'Add adjective (Sentence: S–V–Adj–O)',
+      'ui.rotateTargets': 'Rotate targets (least practised first)',
+      'ui.rotateTargetsTitle': 'Picks follow the practice log, so a shared link can show different words',
+      'coverage': ({ practised, total, percent }) => `Practised ${practised} of ${total} word${total === 1 ? '' : 's'} in this selection (${percent}%)`,
+      'ui.print': 'Print:',
+      'print.colour': 'Colour',
+      'print.grayscale': 'Grayscale',
+      'print.ink-saver': 'Ink saver (light background)',
+      'print.colouring': 'Colouring page (line art)',
+      'ui.seed': 'Seed:',
+      'ui.seedTitle': 'Same seed + same settings = same page',
+      'ui.generate': 'Generate',
+      'ui.reroll': 'Reroll',
+      'ui.rerollTitle': 'Keep every setting, pick a new seed',
+      'ui.copyLink': 'Copy link',
+      'ui.copyLinkTitle': 'Copy a link that reopens exactly this page',
+      'ui.exportPng': 'Export PNG (A4)',
+      'ui.exportSvg': 'Export SVG (A4)',
+      'ui.exportSvgTitle': 'Vector page for Inkscape or Illustrator',
+      'ui.exportUsage': 'Export usage CSV',
+      'ui.auditAssets': 'Audit assets',
+      'ui.pages': 'Pages:',
+      'ui.packMix': 'Mix scene types',
+      'ui.packUnique': 'No repeated targets',
+      'ui.packCover': 'Cover page with targets',
+      'ui.exportPdf': 'Export PDF pack (A4)',
+      'ui.undo': 'Undo',
+      'ui.redo': 'Redo',
+      'ui.swapFor': 'Swap for:',
+      'ui.selectItem': '(select an item)',
+      'ui.noAlternatives': '(no alternatives)',
+      'ui.label': 'Label',
+      'ui.delete': 'Delete',
+      'ui.play': 'Play (full screen)',
+      'ui.playTitle': 'Full-screen I-spy: click (or arrow + Enter) each target you find',
+      'ui.saveDoc': 'Save page (JSON)',
+      'ui.openDoc': 'Open page…',
+      'ui.editHint': 'Drag items to move them, drag the corner to resize; arrow keys nudge, Delete removes, Ctrl+Z undoes.',
+      'ui.noMatches': 'No matches found',
+      'ui.ok': 'OK',
+      'ui.progress': 'Progress',
+      'ui.exportTrials': 'Export trials CSV',
+      'ui.exportProgress': 'Export progress JSON',
+      'ui.assetsAudit': 'Assets audit',
+      'ui.placeholders': 'Download placeholder sprites (ZIP)',
+      'ui.auditJson': 'Download audit JSON',
+      // Checklist and count labels
+      'ui.singlePhonemes': 'Single phonemes (IPA)',
+      'ui.clusters2': 'Clusters (2-letter)',
+      'ui.clusters3': 'Clusters (3-letter)',
+      'count.count': 'Count:',
+      'count.sentences': 'Sentences:',
+      'count.panels': 'Panels:',
+      'count.phrases': 'Phrases:',
+      'count.cards': 'Cards:',
+      'count.pairs': 'Pairs:',
+      'position.initial': 'initial',
+      'position.medial': 'medial',
+      'position.final': 'final',
+      // Tenses: names in notes, examples in the Tense picker
+      'tense.present': 'present',
+      'tense.progressive': 'progressive',
+      'tense.past': 'past',
+      'tenseOption.present': 'present (sips)',
+      'tenseOption.progressive': 'progressive (is sipping)',
+      'tenseOption.past': 'past (sipped)',
+      // Targets panel
+      'targets.sentences': ({ n }) => `Sentences on this page (${n}):`,
+      'targets.noSentences': 'No sentences left on this page.',
+      'targets.story': ({ n }) => `Story in order (${n} panels):`,
+      'targets.noPanels': 'No panels left on this page.',
+      'targets.phrases': ({ n }) => `Phrases on this page (${n}):`,
+      'targets.noPhrases': 'No phrases left on this page.',
+      'targets.bingo': ({ cards, deck }) => `Bingo: ${cards} card(s), caller deck of ${deck}`,
+      'targets.caller': ({ n }) => `Caller cards (${n})`,
+      'targets.pairs': ({ target, contrast, n }) => `Minimal pairs /${target}/ – /${contrast}/ (${n}):`,
+      'targets.memory': ({ n }) => `Matching pairs (${n}):`,
+      'targets.picture': 'Targets in this picture:',
+      'targets.none': 'No items matched your selections. Add words to <code>data/words.json</code>.',
+      'kind.noun': 'noun',
+      'kind.verb': 'verb',
+      'kind.adjective': 'adjective',
+      'targets.building': ({ page, pages }) => `Building page ${page} of ${pages}…`,
+      'targets.startup': 'Startup error. Check that <code>data/words.json</code> (or words-library.json) and optional <code>data/backgrounds.json</code> exist, and that you\'re serving via <code>http://</code>.',
+      // PDF cover page
+      'cover.title': 'Speech Scenes — worksheet pack',
+      'cover.continued': 'Speech Scenes — worksheet pack (continued)',
+      'cover.seed': ({ summary, seed }) => `${summary} · seed ${seed}`,
+      'cover.page': ({ page, type }) => `Page ${page} — ${type}`,
+      'cover.noTargets': '(no targets)',
+      // showError()
+      'error.default': 'Your current filters returned no words.',
+      'error.pickClient': 'Pick or add a client first.',
+      'error.placeholders': ({ message }) => `Couldn’t build the placeholder sprites: ${message}.`,
+      'error.playNeedsTargets': 'Generate a page with targets before starting play mode.',
+      'error.saveNeedsPage': 'Generate a page before saving it.',
+      'error.openFailed': ({ file, message }) => `Couldn’t open ${file}: ${message}.`,
+      'error.notAPage': 'not a Speech Scenes page',
+      'error.unknownType': 'unknown scene type “{type}”',
+      'error.storyNoPanels': 'story page without panels',
+      'error.wordBankLoad': 'could not load the {language} word bank from {path}',
+      'error.exportNeedsPage': 'Generate a page before exporting it.',
+      'error.packOutOfTargets': ({ pages }) => `Ran out of unused targets after ${pages} page(s). Untick “no repeated targets” or widen your filters.`,
+      'error.packPageFailed': ({ page }) => `Page ${page} could not be generated with the current filters.`,
+      'error.packFailed': ({ message }) => `Couldn’t build the PDF pack: ${message}.`,
+      'error.jpeg': 'the page could not be encoded as JPEG',
+      'error.copyLink': ({ url }) => `Couldn’t copy automatically. Copy this link instead: ${url}`,
+      'error.languageFailed': ({ language, message }) => `Couldn’t load the ${language} language pack: ${message}.`,
+      // SceneCore: filterSummary(), generator failures and page notes
+      'summary.filters': ({ phonemes, positions, syllables, categories }) => `phonemes: ${phonemes}, positions: ${positions}, syllables: ${syllables}, categories: ${categories}`,
+      'summary.any': 'any',
+      'error.layout': ({ n, min }) => `Can’t fit ${n} item${n === 1 ? '' : 's'} on one page without shrinking them below ${min}px. Try a smaller count.`,
+      'error.needPhoneme': 'Select at least one phoneme.',
+      'error.needPosition': 'Select at least one position.',
+      'error.noneMatch': ({ which, summary }) => `No ${which} match your filters (${summary}). Try changing phonemes/syllables.`,
+      'words.nouns': 'NOUNS',
+      'words.verbs': 'VERBS',
+      'words.adjectives': 'ADJECTIVES',
+      'words.nounsOrVerbs': 'NOUNS or VERBS',
+      'error.bingoTooFew': ({ size, cells, n, theme }) => `A ${size}×${size} bingo card needs ${cells} different words; your filters match ${n}${theme ? ` in the “${theme}” theme` : ''}. Try a smaller board or wider filters.`,
+      'error.sameSound': 'Pick two different sounds to contrast.',
+      'bingo.free': 'FREE',
+      'error.noPairs': ({ target, contrast, positions }) => `No /${target}/–/${contrast}/ minimal pairs in the word bank for ${positions} position. `,
+      'error.pairContrasts': ({ target, contrasts }) => `Contrasts with pairs for /${target}/: ${contrasts}.`,
+      'error.noContrasts': ({ target }) => `No contrasts with /${target}/ have pairs yet.`,
+      'note.theme': ({ theme }) => `Theme: ${theme}`,
+      'note.noCharacterSounds': ({ summary }) => `No character names have the target sounds (${summary}), so any character can appear.`,
+      'note.tense': ({ frame, wanted, tense }) => `“${frame}” doesn't take the ${wanted} tense, so sentences are in the ${tense}.`,
+      'note.stranded': ({ verbs }) => `Verbs with no valid object under these filters: ${verbs}.`,
+      'note.offTarget': ({ objects }) => `No target noun fits some verbs, so these objects don't match your filters: ${objects}.`,
+      'note.noAdjectives': ({ summary }) => `No adjectives match your filters (${summary}), so sentences were drawn without one.`,
+      'note.storyAnswer': ({ letters }) => `Cut out the panels and put them in order. Answer: ${letters}.`,
+      'note.bingoRepeats': ({ cards, repeats }) => `The deck is too small for ${cards} different cards; ${repeats} card(s) repeat another card’s words in a new order.`,
+      'note.memoryFew': ({ n }) => `Only ${n} word(s) match your filters, so the sheet has ${n} pairs.`,
+      'note.fewPairs': ({ n, target, contrast }) => `Only ${n} /${target}/–/${contrast}/ pair(s) in the current bank.`,
+      'note.thinContrasts': ({ target, n, contrasts }) => `Contrasts with /${target}/ that have fewer than ${n} pairs: ${contrasts}.`,
+      'note.noPairContrasts': ({ target, contrasts }) => `Contrasts with /${target}/ that have no pairs yet: ${contrasts}.`,
+      // Clients, scoring and progress
+      'ui.addClientPrompt': 'Client name (or initials):',
+      'session.pickClient': 'Pick a client to score trials.',
+      'session.started': ({ date, scenes }) => `Session started ${date} · ${scenes} scene(s)`,
+      'session.none': 'No session yet: one starts with the next scene.',
+      'score.heading': 'Score trials ({name})',
+      'score.correct': 'correct',
+      'score.approx': 'approximated',
+      'score.incorrect': 'incorrect',
+      'progress.summary': ({ name, n }) => `Progress — ${name} (${n} trials)`,
+      'progress.byPhoneme': 'By phoneme',
+      'progress.byPosition': 'By position',
+      'progress.bySyllables': 'By syllables',
+      'progress.overTime': 'Over time',
+      'progress.phoneme': 'phoneme',
+      'progress.position': 'position',
+      'progress.syllables': 'syllables',
+      'progress.session': 'session',
+      'progress.trials': 'trials',
+      'progress.accuracy': 'accuracy',
+      'progress.none': 'No scored trials yet.',
+      // Word bank report ({path} is markup) and assets audit
+      'wordBank.summary': ({ path, errors, warnings }) => `Word bank <code>${path}</code>: ${errors} error(s), ${warnings} warning(s)`,
+      'severity.error': 'error',
+      'severity.warning': 'warning',
+      'severity.info': 'info',
+      'audit.count.error': ({ n }) => `${n} error(s)`,
+      'audit.count.warning': ({ n }) => `${n} warning(s)`,
+      'audit.count.info': ({ n }) => `${n} info(s)`,
+      'audit.summary': ({ n, counts }) => `Assets audit — ${n} images: ${counts}`,
+      'audit.severity': 'severity',
+      'audit.issue': 'issue',
+      'audit.count': 'count',
+      'audit.files': 'files',
+      'audit.clean': 'Every image loaded and passed the checks.',
+      'audit.placeholders': ({ n }) => `Download ${n} placeholder sprite(s) (ZIP)`,
+      'audit.manifest': 'background manifest missing',
+      'audit.missing': 'missing file',
+      'audit.case': 'case mismatch (breaks on case-sensitive hosts)',
+      'audit.unreadable': 'not a readable image',
+      'audit.resolution': 'too small for A4 at 300dpi',
+      'audit.transparency': 'no transparency',
+      'audit.aspect': 'extreme aspect ratio',
+      'audit.unreferenced': 'not used by the word bank or manifest',
+      'audit.listing': 'folder listing unavailable (case and unused-file checks skipped)',
+      'audit.detail.noBackgrounds': 'backgrounds are never drawn',
+      'audit.detail.fileIs': 'file is {file}',
+      'audit.detail.noImage': 'no image field',
+      'audit.detail.stretched': '{size}, stretched {stretch}× to cover {page}',
+      'audit.detail.cropped': '{size}, only {percent}% survives the A4 crop',
+      'audit.detail.small': '{size}, under {px}px',
+      'audit.detail.opaque': 'opaque corners and edges',
+      'audit.noImageFolder': '(no image field)',
+      // index.html hints with markup (data-i18n-html)
+      'ui.auditHint': 'Unzip into <code>public/</code>: each placeholder lands at its word bank <code>image</code> path.',
+      'ui.footer': 'Word bank at <code>public/data/words.json</code>. Backgrounds in <code>public/sprites/backgrounds/</code>, listed in <code>public/data/backgrounds.json</code>.<br> Serve locally: <code>python -m http.server 5001</code> → open <code>http://localhost:5001</code>.<br> Check word bank edits: <code>node tools/lint-words.js</code>.',
+      // Play mode ({words} is markup)
+      'play.score': ({ found, total }) => `${found} of ${total} found`,
+      'play.result': 'Score: {score}',
+      'play.missed': 'Missed: {words}',
+      'play.allFound': 'Every target found!',
+      'play.again': 'Play again',
+      'play.close': 'Close',
+      'play.finish': 'Finish',
+      'play.hint': 'Click an item, or use the arrow keys and Enter. Esc ends the round.'
+    },
+
+    es: {
+      'ui.title': 'Speech Scenes — generador de frases',
+      'ui.language': 'Idioma:',
+      'ui.sceneLabel': 'Escena generada',
+      'ui.playLabel': 'Modo de juego',
+      'ui.client': 'Paciente:',
+      'ui.noClient': '— sin paciente —',
+      'ui.newClient': 'Nuevo paciente',
+      'ui.newSession': 'Nueva sesión',
+      'ui.phonemesHeading': 'Fonemas y grupos consonánticos',
+      'ui.selectAll': 'Seleccionar todo',
+      'ui.clear': 'Borrar',
+      'ui.phonemeTip': 'Consejo: puedes elegir fonemas sueltos (AFI, p. ej. /s/, /ɾ/) y/o grupos (p. ej. /bl/, /tr/).',
+      'ui.syllables': 'Número de sílabas:',
+      'ui.syllablesHint': 'Deja todo sin marcar para incluir cualquier número de sílabas.',
+      'ui.categories': 'Categorías:',
+      'ui.themed': 'Escena temática (una categoría por página; no en Frase)',
+      'ui.categoriesHint': 'Deja todo sin marcar para incluir todas las categorías. Los números cuentan sustantivos y verbos que cumplen tus otros filtros.',
+      'ui.positions': 'Posiciones:',
+      'ui.scene': 'Escena:',
+      'scene.i-spy': 'Veo, veo (sustantivos)',
+      'scene.actions': 'Acciones (verbos)',
+      'scene.mixed': 'Mixta',
+      'scene.sentence': 'Frase (S–V–O)',
+      'scene.story': 'Historieta (secuencias)',
+      'scene.descriptive': 'Describir (sustantivo + adjetivo)',
+      'scene.bingo': 'Cartones de bingo',
+      'scene.bingo-caller': 'Tarjetas para cantar el bingo',
+      'scene.memory': 'Memoria / parejas',
+      'scene.minimal-pairs': 'Pares mínimos',
+      'ui.layout': 'Disposición:',
+      'layout.scatter': 'Dispersa',
+      'layout.grid': 'Cuadrícula',
+      'layout.shelf': 'Filas (compacta)',
+      'ui.board': 'Cartón:',
+      'ui.freeSpace': 'Casilla libre (3×3/5×5)',
+      'ui.memory': 'Memoria:',
+      'memory.picture-picture': 'dibujo–dibujo',
+      'memory.picture-word': 'dibujo–palabra',
+      'ui.target': 'Objetivo:',
+      'ui.contrast': 'Contraste:',
+      'ui.frame': 'Estructura:',
+      'ui.tense': 'Tiempo:',
+      'ui.captions': 'Texto bajo los dibujos',
+      'ui.character': 'Personaje:',
+      'ui.rotate': 'Alternar',
+      'ui.characterSounds': 'Nombres con los sonidos objetivo',
+      'ui.storyShuffle': 'Viñetas desordenadas para recortar',
+      'ui.showLabels': 'Mostrar etiquetas',
+      'ui.outline': 'Añadir contornos (bloques de reserva)',
+      'ui.backgrounds': 'Fondo aleatorio (Frase/Historieta)',
+      'ui.adjectives': 'Añadir adjetivo (Frase: S–V–O–Adj)',
+      'ui.rotateTargets': 'Rotar objetivos (primero los menos practicados)',
+      'ui.rotateTargetsTitle': 'La selección sigue el registro de práctica, así que un enlace compartido puede mostrar otras palabras',
+      'coverage': ({ practised, total, percent }) => `Practicadas ${practised} de ${total} palabra${total === 1 ? '' : 's'} de esta selección (${percent} %)`,
+      'ui.print': 'Impresión:',
+      'print.colour': 'Color',
+      'print.grayscale': 'Escala de grises',
+      'print.ink-saver': 'Ahorro de tinta (fondo claro)',
+      'print.colouring': 'Para colorear (contornos)',
+      'ui.seed': 'Semilla:',
+      'ui.seedTitle': 'Misma semilla + mismos ajustes = misma página',
+      'ui.generate': 'Generar',
+      'ui.reroll': 'Otra vez',
+      'ui.rerollTitle': 'Mantiene los ajustes y elige una semilla nueva',
+      'ui.copyLink': 'Copiar enlace',
+      'ui.copyLinkTitle': 'Copia un enlace que vuelve a abrir esta misma página',
+      'ui.exportPng': 'Exportar PNG (A4)',
+      'ui.exportSvg': 'Exportar SVG (A4)',
+      'ui.exportSvgTitle': 'Página vectorial para Inkscape o Illustrator',
+      'ui.exportUsage': 'Exportar uso (CSV)',
+      'ui.auditAssets': 'Revisar imágenes',
+      'ui.pages': 'Páginas:',
+      'ui.packMix': 'Mezclar tipos de escena',
+      'ui.packUnique': 'Sin objetivos repetidos',
+      'ui.packCover': 'Portada con los objetivos',
+      'ui.exportPdf': 'Exportar cuadernillo PDF (A4)',
+      'ui.undo': 'Deshacer',
+      'ui.redo': 'Rehacer',
+      'ui.swapFor': 'Cambiar por:',
+      'ui.selectItem': '(elige un elemento)',
+      'ui.noAlternatives': '(sin alternativas)',
+      'ui.label': 'Etiqueta',
+      'ui.delete': 'Eliminar',
+      'ui.play': 'Jugar (pantalla completa)',
+      'ui.playTitle': 'Veo, veo a pantalla completa: haz clic (o flechas + Intro) en cada objetivo que encuentres',
+      'ui.saveDoc': 'Guardar página (JSON)',
+      'ui.openDoc': 'Abrir página…',
+      'ui.editHint': 'Arrastra los elementos para moverlos y la esquina para cambiar su tamaño; las flechas los desplazan, Supr los elimina y Ctrl+Z deshace.',
+      'ui.noMatches': 'No hay resultados',
+      'ui.ok': 'Aceptar',
+      'ui.progress': 'Progreso',
+      'ui.exportTrials': 'Exportar intentos (CSV)',
+      'ui.exportProgress': 'Exportar progreso (JSON)',
+      'ui.assetsAudit': 'Revisión de imágenes',
+      'ui.placeholders': 'Descargar imágenes provisionales (ZIP)',
+      'ui.auditJson': 'Descargar revisión (JSON)',
+      'ui.singlePhonemes': 'Fonemas (AFI)',
+      'ui.clusters2': 'Grupos consonánticos',
+      'ui.clusters3': 'Grupos de tres letras',
+      'count.count': 'Cantidad:',
+      'count.sentences': 'Frases:',
+      'count.panels': 'Viñetas:',
+      'count.phrases': 'Sintagmas:',
+      'count.cards': 'Cartones:',
+      'count.pairs': 'Pares:',
+      'position.initial': 'inicial',
+      'position.medial': 'media',
+      'position.final': 'final',
+      'tense.present': 'presente',
+      'tense.progressive': 'progresivo',
+      'tense.past': 'pasado',
+      'tenseOption.present': 'presente (bebe)',
+      'tenseOption.progressive': 'progresivo (está bebiendo)',
+      'tenseOption.past': 'pasado (bebió)',
+      'targets.sentences': ({ n }) => `Frases en esta página (${n}):`,
+      'targets.noSentences': 'No quedan frases en esta página.',
+      'targets.story': ({ n }) => `La historia en orden (${n} viñetas):`,
+      'targets.noPanels': 'No quedan viñetas en esta página.',
+      'targets.phrases': ({ n }) => `Sintagmas en esta página (${n}):`,
+      'targets.noPhrases': 'No quedan sintagmas en esta página.',
+      'targets.bingo': ({ cards, deck }) => `Bingo: ${cards} cartón(es), ${deck} tarjetas para cantar`,
+      'targets.caller': ({ n }) => `Tarjetas para cantar (${n})`,
+      'targets.pairs': ({ target, contrast, n }) => `Pares mínimos /${target}/ – /${contrast}/ (${n}):`,
+      'targets.memory': ({ n }) => `Parejas (${n}):`,
+      'targets.picture': 'Objetivos en este dibujo:',
+      'targets.none': 'Ningún elemento coincide con tu selección. Añade palabras al banco de palabras.',
+      'kind.noun': 'sustantivo',
+      'kind.verb': 'verbo',
+      'kind.adjective': 'adjetivo',
+      'targets.building': ({ page, pages }) => `Preparando la página ${page} de ${pages}…`,
+      'targets.startup': 'Error al iniciar. Comprueba que existen el banco de palabras del idioma y, si se usa, <code>data/backgrounds.json</code>, y que la página se sirve por <code>http://</code>.',
+      'cover.title': 'Speech Scenes — cuadernillo de fichas',
+      'cover.continued': 'Speech Scenes — cuadernillo de fichas (continuación)',
+      'cover.seed': ({ summary, seed }) => `${summary} · semilla ${seed}`,
+      'cover.page': ({ page, type }) => `Página ${page} — ${type}`,
+      'cover.noTargets': '(sin objetivos)',
+      'error.default': 'Tus filtros actuales no devolvieron ninguna palabra.',
+      'error.pickClient': 'Primero elige o añade un paciente.',
+      'error.placeholders': ({ message }) => `No se pudieron crear las imágenes provisionales: ${message}.`,
+      'error.playNeedsTargets': 'Genera una página con objetivos antes de empezar a jugar.',
+      'error.saveNeedsPage': 'Genera una página antes de guardarla.',
+      'error.openFailed': ({ file, message }) => `No se pudo abrir ${file}: ${message}.`,
+      'error.notAPage': 'no es una página de Speech Scenes',
+      'error.unknownType': 'tipo de escena desconocido «{type}»',
+      'error.storyNoPanels': 'página de historia sin viñetas',
+      'error.wordBankLoad': 'no se pudo cargar el banco de palabras {language} desde {path}',
+      'error.exportNeedsPage': 'Genera una página antes de exportarla.',
+      'error.packOutOfTargets': ({ pages }) => `No quedan objetivos sin usar después de ${pages} página(s). Desmarca «sin objetivos repetidos» o amplía los filtros.`,
+      'error.packPageFailed': ({ page }) => `No se pudo generar la página ${page} con los filtros actuales.`,
+      'error.packFailed': ({ message }) => `No se pudo crear el cuadernillo PDF: ${message}.`,
+      'error.jpeg': 'la página no se pudo codificar como JPEG',
+      'error.copyLink': ({ url }) => `No se pudo copiar automáticamente. Copia este enlace: ${url}`,
+      'error.languageFailed': ({ language, message }) => `No se pudo cargar el idioma ${language}: ${message}.`,
+      'summary.filters': ({ phonemes, positions, syllables, categories }) => `fonemas: ${phonemes}, posiciones: ${positions}, sílabas: ${syllables}, categorías: ${categories}`,
+      'summary.any': 'cualquiera',
+      'error.layout': ({ n, min }) => `No caben ${n} elemento${n === 1 ? '' : 's'} en una página sin reducirlos a menos de ${min}px. Prueba con una cantidad menor.`,
+      'error.needPhoneme': 'Elige al menos un fonema.',
+      'error.needPosition': 'Elige al menos una posición.',
+      'error.noneMatch': ({ which, summary }) => `Ningún ${which} coincide con tus filtros (${summary}). Prueba a cambiar los fonemas o las sílabas.`,
+      'words.nouns': 'SUSTANTIVO',
+      'words.verbs': 'VERBO',
+      'words.adjectives': 'ADJETIVO',
+      'words.nounsOrVerbs': 'SUSTANTIVO ni VERBO',
+      'error.bingoTooFew': ({ size, cells, n, theme }) => `Un cartón de bingo de ${size}×${size} necesita ${cells} palabras distintas; tus filtros encuentran ${n}${theme ? ` en el tema «${theme}»` : ''}. Prueba con un cartón más pequeño o filtros más amplios.`,
+      'error.sameSound': 'Elige dos sonidos distintos para contrastar.',
+      'bingo.free': 'LIBRE',
+      'error.noPairs': ({ target, contrast, positions }) => `No hay pares mínimos /${target}/–/${contrast}/ en el banco de palabras para la posición ${positions}. `,
+      'error.pairContrasts': ({ target, contrasts }) => `Contrastes con pares para /${target}/: ${contrasts}.`,
+      'error.noContrasts': ({ target }) => `Todavía no hay contrastes con pares para /${target}/.`,
+      'note.theme': ({ theme }) => `Tema: ${theme}`,
+      'note.noCharacterSounds': ({ summary }) => `Ningún nombre de personaje tiene los sonidos objetivo (${summary}), así que puede aparecer cualquiera.`,
+      'note.tense': ({ frame, wanted, tense }) => `«${frame}» no admite el ${wanted}, así que las frases están en ${tense}.`,
+      'note.stranded': ({ verbs }) => `Verbos sin un complemento válido con estos filtros: ${verbs}.`,
+      'note.offTarget': ({ objects }) => `Ningún sustantivo objetivo encaja con algunos verbos, así que estos complementos no cumplen tus filtros: ${objects}.`,
+      'note.noAdjectives': ({ summary }) => `Ningún adjetivo coincide con tus filtros (${summary}), así que las frases van sin adjetivo.`,
+      'note.storyAnswer': ({ letters }) => `Recorta las viñetas y ordénalas. Solución: ${letters}.`,
+      'note.bingoRepeats': ({ cards, repeats }) => `Hay pocas palabras para ${cards} cartones distintos; ${repeats} cartón(es) repiten las palabras de otro en otro orden.`,
+      'note.memoryFew': ({ n }) => `Solo ${n} palabra(s) cumplen tus filtros, así que la ficha tiene ${n} parejas.`,
+      'note.fewPairs': ({ n, target, contrast }) => `Solo hay ${n} par(es) /${target}/–/${contrast}/ en el banco actual.`,
+      'note.thinContrasts': ({ target, n, contrasts }) => `Contrastes con /${target}/ que tienen menos de ${n} pares: ${contrasts}.`,
+      'note.noPairContrasts': ({ target, contrasts }) => `Contrastes con /${target}/ que aún no tienen pares: ${contrasts}.`,
+      // Clients, scoring and progress
+      'ui.addClientPrompt': 'Nombre del paciente (o iniciales):',
+      'session.pickClient': 'Elige un paciente para puntuar intentos.',
+      'session.started': ({ date, scenes }) => `Sesión iniciada ${date} · ${scenes} escena(s)`,
+      'session.none': 'Aún no hay sesión: empieza con la próxima escena.',
+      'score.heading': 'Puntuar intentos ({name})',
+      'score.correct': 'correcto',
+      'score.approx': 'aproximado',
+      'score.incorrect': 'incorrecto',
+      'progress.summary': ({ name, n }) => `Progreso — ${name} (${n} intentos)`,
+      'progress.byPhoneme': 'Por fonema',
+      'progress.byPosition': 'Por posición',
+      'progress.bySyllables': 'Por sílabas',
+      'progress.overTime': 'A lo largo del tiempo',
+      'progress.phoneme': 'fonema',
+      'progress.position': 'posición',
+      'progress.syllables': 'sílabas',
+      'progress.session': 'sesión',
+      'progress.trials': 'intentos',
+      'progress.accuracy': 'precisión',
+      'progress.none': 'Todavía no hay intentos puntuados.',
+      // Word bank report ({path} is markup) and assets audit
+      'wordBank.summary': ({ path, errors, warnings }) => `Banco de palabras <code>${path}</code>: ${errors} error(es), ${warnings} aviso(s)`,
+      'severity.error': 'error',
+      'severity.warning': 'aviso',
+      'severity.info': 'info',
+      'audit.count.error': ({ n }) => `${n} error(es)`,
+      'audit.count.warning': ({ n }) => `${n} aviso(s)`,
+      'audit.count.info': ({ n }) => `${n} info`,
+      'audit.summary': ({ n, counts }) => `Revisión de imágenes — ${n} imágenes: ${counts}`,
+      'audit.severity': 'gravedad',
+      'audit.issue': 'problema',
+      'audit.count': 'número',
+      'audit.files': 'archivos',
+      'audit.clean': 'Todas las imágenes se cargaron y pasaron las comprobaciones.',
+      'audit.placeholders': ({ n }) => `Descargar ${n} imagen(es) provisional(es) (ZIP)`,
+      'audit.manifest': 'falta el listado de fondos',
+      'audit.missing': 'falta el archivo',
+      'audit.case': 'mayúsculas distintas (falla en servidores que las distinguen)',
+      'audit.unreadable': 'no es una imagen legible',
+      'audit.resolution': 'demasiado pequeña para A4 a 300 ppp',
+      'audit.transparency': 'sin transparencia',
+      'audit.aspect': 'proporciones extremas',
+      'audit.unreferenced': 'no la usa el banco de palabras ni el listado',
+      'audit.listing': 'no se puede listar la carpeta (se omiten las comprobaciones de mayúsculas y archivos sin usar)',
+      'audit.detail.noBackgrounds': 'los fondos nunca se dibujan',
+      'audit.detail.fileIs': 'el archivo es {file}',
+      'audit.detail.noImage': 'sin campo image',
+      'audit.detail.stretched': '{size}, ampliada {stretch}× para cubrir {page}',
+      'audit.detail.cropped': '{size}, solo queda el {percent} % tras recortar a A4',
+      'audit.detail.small': '{size}, menos de {px} px',
+      'audit.detail.opaque': 'esquinas y bordes opacos',
+      'audit.noImageFolder': '(sin campo image)',
+      // index.html hints with markup (data-i18n-html)
+      'ui.auditHint': 'Descomprime en <code>public/</code>: cada imagen provisional queda en la ruta <code>image</code> de su palabra.',
+      'ui.footer': 'Banco de palabras en <code>public/data/words.json</code>. Fondos en <code>public/sprites/backgrounds/</code>, listados en <code>public/data/backgrounds.json</code>.<br> Servir en local: <code>python -m http.server 5001</code> → abre <code>http://localhost:5001</code>.<br> Revisar cambios del banco de palabras: <code>node tools/lint-words.js</code>.',
+      // Play mode ({words} is markup)
+      'play.score': ({ found, total }) => `${found} de ${total} encontrados`,
+      'play.result': 'Puntuación: {score}',
+      'play.missed': 'Faltaron: {words}',
+      'play.allFound': '¡Encontraste todos los objetivos!',
+      'play.again': 'Jugar otra vez',
+      'play.close': 'Cerrar',
+      'play.finish': 'Terminar',
+      'play.hint': 'Haz clic en un elemento, o usa las flechas y Intro. Esc termina la ronda.'
+    },
+
+    fr: {
+      'ui.title': 'Speech Scenes — générateur de phrases',
+      'ui.language': 'Langue :',
+      'ui.sceneLabel': 'Scène générée',
+      'ui.playLabel': 'Mode jeu',
+      'ui.client': 'Patient :',
+      'ui.noClient': '— aucun patient —',
+      'ui.newClient': 'Nouveau patient',
+      'ui.newSession': 'Nouvelle séance',
+      'ui.phonemesHeading': 'Phonèmes et groupes consonantiques',
+      'ui.selectAll': 'Tout cocher',
+      'ui.clear': 'Effacer',
+      'ui.phonemeTip': 'Astuce : vous pouvez choisir des phonèmes (API, p. ex. /s/, /ʃ/) et/ou des groupes (p. ex. /bl/, /tr/).',
+      'ui.syllables': 'Nombre de syllabes :',
+      'ui.syllablesHint': 'Ne cochez rien pour inclure toutes les longueurs.',
+      'ui.categories': 'Catégories :',
+      'ui.themed': 'Scène thématique (une catégorie par page ; pas en Phrase)',
+      'ui.categoriesHint': 'Ne cochez rien pour inclure toutes les catégories. Les nombres comptent les noms et verbes qui passent vos autres filtres.',
+      'ui.positions': 'Positions :',
+      'ui.scene': 'Scène :',
+      'scene.i-spy': 'Cherche et trouve (noms)',
+      'scene.actions': 'Actions (verbes)',
+      'scene.mixed': 'Mixte',
+      'scene.sentence': 'Phrase (S–V–O)',
+      'scene.story': 'Bande dessinée (séquences)',
+      'scene.descriptive': 'Décrire (nom + adjectif)',
+      'scene.bingo': 'Cartes de loto',
+      'scene.bingo-caller': 'Cartes d’appel du loto',
+      'scene.memory': 'Memory / paires',
+      'scene.minimal-pairs': 'Paires minimales',
+      'ui.layout': 'Disposition :',
+      'layout.scatter': 'Dispersée',
+      'layout.grid': 'Grille',
+      'layout.shelf': 'Rangées (serrées)',
+      'ui.board': 'Carte :',
+      'ui.freeSpace': 'Case libre (3×3/5×5)',
+      'ui.memory': 'Memory :',
+      'memory.picture-picture': 'image–image',
+      'memory.picture-word': 'image–mot',
+      'ui.target': 'Cible :',
+      'ui.contrast': 'Contraste :',
+      'ui.frame': 'Structure :',
+      'ui.tense': 'Temps :',
+      'ui.captions': 'Légendes sous les images',
+      'ui.character': 'Personnage :',
+      'ui.rotate': 'En alternance',
+      'ui.characterSounds': 'Prénoms avec les sons cibles',
+      'ui.storyShuffle': 'Cases mélangées à découper',
+      'ui.showLabels': 'Afficher les étiquettes',
+      'ui.outline': 'Ajouter des contours (blocs de secours)',
+      'ui.backgrounds': 'Fond au hasard (Phrase/Bande dessinée)',
+      'ui.adjectives': 'Ajouter un adjectif (Phrase : S–V–O–Adj)',
+      'ui.rotateTargets': 'Faire tourner les cibles (les moins travaillées d’abord)',
+      'ui.rotateTargetsTitle': 'Le choix suit le journal d’entraînement : un lien partagé peut montrer d’autres mots',
+      'coverage': ({ practised, total, percent }) => `${practised} mot${practised > 1 ? 's' : ''} travaillé${practised > 1 ? 's' : ''} sur ${total} dans cette sélection (${percent} %)`,
+      'ui.print': 'Impression :',
+      'print.colour': 'Couleur',
+      'print.grayscale': 'Niveaux de gris',
+      'print.ink-saver': 'Économie d’encre (fond clair)',
+      'print.colouring': 'Coloriage (contours)',
+      'ui.seed': 'Graine :',
+      'ui.seedTitle': 'Même graine + mêmes réglages = même page',
+      'ui.generate': 'Générer',
+      'ui.reroll': 'Relancer',
+      'ui.rerollTitle': 'Garde tous les réglages et choisit une nouvelle graine',
+      'ui.copyLink': 'Copier le lien',
+      'ui.copyLinkTitle': 'Copie un lien qui rouvre exactement cette page',
+      'ui.exportPng': 'Exporter en PNG (A4)',
+      'ui.exportSvg': 'Exporter en SVG (A4)',
+      'ui.exportSvgTitle': 'Page vectorielle pour Inkscape ou Illustrator',
+      'ui.exportUsage': 'Exporter l’utilisation (CSV)',
+      'ui.auditAssets': 'Vérifier les images',
+      'ui.pages': 'Pages :',
+      'ui.packMix': 'Mélanger les types de scène',
+      'ui.packUnique': 'Pas de cibles répétées',
+      'ui.packCover': 'Page de garde avec les cibles',
+      'ui.exportPdf': 'Exporter le cahier PDF (A4)',
+      'ui.undo': 'Annuler',
+      'ui.redo': 'Rétablir',
+      'ui.swapFor': 'Remplacer par :',
+      'ui.selectItem': '(choisissez un élément)',
+      'ui.noAlternatives': '(aucune autre possibilité)',
+      'ui.label': 'Étiquette',
+      'ui.delete': 'Supprimer',
+      'ui.play': 'Jouer (plein écran)',
+      'ui.playTitle': 'Cherche et trouve en plein écran : cliquez (ou flèches + Entrée) sur chaque cible trouvée',
+      'ui.saveDoc': 'Enregistrer la page (JSON)',
+      'ui.openDoc': 'Ouvrir une page…',
+      'ui.editHint': 'Faites glisser les éléments pour les déplacer et le coin pour les redimensionner ; les flèches les décalent, Suppr les retire, Ctrl+Z annule.',
+      'ui.noMatches': 'Aucun résultat',
+      'ui.ok': 'OK',
+      'ui.progress': 'Progrès',
+      'ui.exportTrials': 'Exporter les essais (CSV)',
+      'ui.exportProgress': 'Exporter les progrès (JSON)',
+      'ui.assetsAudit': 'Vérification des images',
+      'ui.placeholders': 'Télécharger les images provisoires (ZIP)',
+      'ui.auditJson': 'Télécharger la vérification (JSON)',
+      'ui.singlePhonemes': 'Phonèmes (API)',
+      'ui.clusters2': 'Groupes consonantiques',
+      'ui.clusters3': 'Groupes de trois lettres',
+      'count.count': 'Nombre :',
+      'count.sentences': 'Phrases :',
+      'count.panels': 'Cases :',
+      'count.phrases': 'Groupes nominaux :',
+      'count.cards': 'Cartes :',
+      'count.pairs': 'Paires :',
+      'position.initial': 'initiale',
+      'position.medial': 'médiane',
+      'position.final': 'finale',
+      'tense.present': 'présent',
+      'tense.progressive': 'présent progressif',
+      'tense.past': 'passé composé',
+      'tenseOption.present': 'présent (boit)',
+      'tenseOption.progressive': 'progressif (est en train de boire)',
+      'tenseOption.past': 'passé composé (a bu)',
+      'targets.sentences': ({ n }) => `Phrases de cette page (${n}) :`,
+      'targets.noSentences': 'Il ne reste aucune phrase sur cette page.',
+      'targets.story': ({ n }) => `L’histoire dans l’ordre (${n} cases) :`,
+      'targets.noPanels': 'Il ne reste aucune case sur cette page.',
+      'targets.phrases': ({ n }) => `Groupes nominaux de cette page (${n}) :`,
+      'targets.noPhrases': 'Il ne reste aucun groupe nominal sur cette page.',
+      'targets.bingo': ({ cards, deck }) => `Loto : ${cards} carte(s), ${deck} cartes d’appel`,
+      'targets.caller': ({ n }) => `Cartes d’appel (${n})`,
+      'targets.pairs': ({ target, contrast, n }) => `Paires minimales /${target}/ – /${contrast}/ (${n}) :`,
+      'targets.memory': ({ n }) => `Paires (${n}) :`,
+      'targets.picture': 'Cibles dans cette image :',
+      'targets.none': 'Aucun élément ne correspond à votre sélection. Ajoutez des mots à la banque de mots.',
+      'kind.noun': 'nom',
+      'kind.verb': 'verbe',
+      'kind.adjective': 'adjectif',
+      'targets.building': ({ page, pages }) => `Préparation de la page ${page} sur ${pages}…`,
+      'targets.startup': 'Erreur au démarrage. Vérifiez que la banque de mots de la langue et, le cas échéant, <code>data/backgrounds.json</code> existent, et que la page est servie en <code>http://</code>.',
+      'cover.title': 'Speech Scenes — cahier d’exercices',
+      'cover.continued': 'Speech Scenes — cahier d’exercices (suite)',
+      'cover.seed': ({ summary, seed }) => `${summary} · graine ${seed}`,
+      'cover.page': ({ page, type }) => `Page ${page} — ${type}`,
+      'cover.noTargets': '(aucune cible)',
+      'error.default': 'Vos filtres actuels n’ont renvoyé aucun mot.',
+      'error.pickClient': 'Choisissez ou ajoutez d’abord un patient.',
+      'error.placeholders': ({ message }) => `Impossible de créer les images provisoires : ${message}.`,
+      'error.playNeedsTargets': 'Générez une page avec des cibles avant de lancer le jeu.',
+      'error.saveNeedsPage': 'Générez une page avant de l’enregistrer.',
+      'error.openFailed': ({ file, message }) => `Impossible d’ouvrir ${file} : ${message}.`,
+      'error.notAPage': 'ce n’est pas une page Speech Scenes',
+      'error.unknownType': 'type de scène inconnu « {type} »',
+      'error.storyNoPanels': 'page d’histoire sans vignettes',
+      'error.wordBankLoad': 'impossible de charger la banque de mots {language} depuis {path}',
+      'error.exportNeedsPage': 'Générez une page avant de l’exporter.',
+      'error.packOutOfTargets': ({ pages }) => `Plus de cibles inutilisées après ${pages} page(s). Décochez « pas de cibles répétées » ou élargissez vos filtres.`,
+      'error.packPageFailed': ({ page }) => `Impossible de générer la page ${page} avec les filtres actuels.`,
+      'error.packFailed': ({ message }) => `Impossible de créer le cahier PDF : ${message}.`,
+      'error.jpeg': 'la page n’a pas pu être encodée en JPEG',
+      'error.copyLink': ({ url }) => `Copie automatique impossible. Copiez plutôt ce lien : ${url}`,
+      'error.languageFailed': ({ language, message }) => `Impossible de charger la langue ${language} : ${message}.`,
+      'summary.filters': ({ phonemes, positions, syllables, categories }) => `phonèmes : ${phonemes}, positions : ${positions}, syllabes : ${syllables}, catégories : ${categories}`,
+      'summary.any': 'toutes',
+      'error.layout': ({ n, min }) => `Impossible de placer ${n} élément${n === 1 ? '' : 's'} sur une page sans les réduire sous ${min}px. Essayez un nombre plus petit.`,
+      'error.needPhoneme': 'Choisissez au moins un phonème.',
+      'error.needPosition': 'Choisissez au moins une position.',
+      'error.noneMatch': ({ which, summary }) => `Aucun ${which} ne correspond à vos filtres (${summary}). Essayez d’autres phonèmes ou syllabes.`,
+      'words.nouns': 'NOM',
+      'words.verbs': 'VERBE',
+      'words.adjectives': 'ADJECTIF',
+      'words.nounsOrVerbs': 'NOM ni VERBE',
+      'error.bingoTooFew': ({ size, cells, n, theme }) => `Une carte de loto ${size}×${size} demande ${cells} mots différents ; vos filtres en trouvent ${n}${theme ? ` dans le thème « ${theme} »` : ''}. Essayez une carte plus petite ou des filtres plus larges.`,
+      'error.sameSound': 'Choisissez deux sons différents à opposer.',
+      'bingo.free': 'LIBRE',
+      'error.noPairs': ({ target, contrast, positions }) => `Aucune paire minimale /${target}/–/${contrast}/ dans la banque de mots en position ${positions}. `,
+      'error.pairContrasts': ({ target, contrasts }) => `Contrastes avec des paires pour /${target}/ : ${contrasts}.`,
+      'error.noContrasts': ({ target }) => `Aucun contraste avec /${target}/ n’a encore de paires.`,
+      'note.theme': ({ theme }) => `Thème : ${theme}`,
+      'note.noCharacterSounds': ({ summary }) => `Aucun prénom de personnage n’a les sons cibles (${summary}), donc n’importe quel personnage peut apparaître.`,
+      'note.tense': ({ frame, wanted, tense }) => `« ${frame} » ne se met pas au ${wanted}, donc les phrases sont au ${tense}.`,
+      'note.stranded': ({ verbs }) => `Verbes sans complément valable avec ces filtres : ${verbs}.`,
+      'note.offTarget': ({ objects }) => `Aucun nom cible ne convient à certains verbes, donc ces compléments ne passent pas vos filtres : ${objects}.`,
+      'note.noAdjectives': ({ summary }) => `Aucun adjectif ne correspond à vos filtres (${summary}), donc les phrases sont sans adjectif.`,
+      'note.storyAnswer': ({ letters }) => `Découpez les cases et remettez-les dans l’ordre. Solution : ${letters}.`,
+      'note.bingoRepeats': ({ cards, repeats }) => `Trop peu de mots pour ${cards} cartes différentes ; ${repeats} carte(s) reprennent les mots d’une autre dans un autre ordre.`,
+      'note.memoryFew': ({ n }) => `Seulement ${n} mot(s) passent vos filtres, donc la fiche a ${n} paires.`,
+      'note.fewPairs': ({ n, target, contrast }) => `Seulement ${n} paire(s) /${target}/–/${contrast}/ dans la banque actuelle.`,
+      'note.thinContrasts': ({ target, n, contrasts }) => `Contrastes avec /${target}/ qui ont moins de ${n} paires : ${contrasts}.`,
+      'note.noPairContrasts': ({ target, contrasts }) => `Contrastes avec /${target}/ qui n’ont encore aucune paire : ${contrasts}.`,
+      // Clients, scoring and progress
+      'ui.addClientPrompt': 'Nom du patient (ou initiales) :',
+      'session.pickClient': 'Choisissez un patient pour noter les essais.',
+      'session.started': ({ date, scenes }) => `Séance commencée le ${date} · ${scenes} scène(s)`,
+      'session.none': 'Pas encore de séance : elle commence avec la prochaine scène.',
+      'score.heading': 'Noter les essais ({name})',
+      'score.correct': 'correct',
+      'score.approx': 'approché',
+      'score.incorrect': 'incorrect',
+      'progress.summary': ({ name, n }) => `Progrès — ${name} (${n} essais)`,
+      'progress.byPhoneme': 'Par phonème',
+      'progress.byPosition': 'Par position',
+      'progress.bySyllables': 'Par syllabes',
+      'progress.overTime': 'Dans le temps',
+      'progress.phoneme': 'phonème',
+      'progress.position': 'position',
+      'progress.syllables': 'syllabes',
+      'progress.session': 'séance',
+      'progress.trials': 'essais',
+      'progress.accuracy': 'réussite',
+      'progress.none': 'Aucun essai noté pour l’instant.',
+      // Word bank report ({path} is markup) and assets audit
+      'wordBank.summary': ({ path, errors, warnings }) => `Banque de mots <code>${path}</code> : ${errors} erreur(s), ${warnings} avertissement(s)`,
+      'severity.error': 'erreur',
+      'severity.warning': 'avertissement',
+      'severity.info': 'info',
+      'audit.count.error': ({ n }) => `${n} erreur(s)`,
+      'audit.count.warning': ({ n }) => `${n} avertissement(s)`,
+      'audit.count.info': ({ n }) => `${n} info(s)`,
+      'audit.summary': ({ n, counts }) => `Vérification des images — ${n} images : ${counts}`,
+      'audit.severity': 'gravité',
+      'audit.issue': 'problème',
+      'audit.count': 'nombre',
+      'audit.files': 'fichiers',
+      'audit.clean': 'Toutes les images se sont chargées et ont passé les contrôles.',
+      'audit.placeholders': ({ n }) => `Télécharger ${n} image(s) provisoire(s) (ZIP)`,
+      'audit.manifest': 'liste des fonds manquante',
+      'audit.missing': 'fichier manquant',
+      'audit.case': 'majuscules différentes (échoue sur les serveurs qui les distinguent)',
+      'audit.unreadable': 'image illisible',
+      'audit.resolution': 'trop petite pour un A4 à 300 ppp',
+      'audit.transparency': 'pas de transparence',
+      'audit.aspect': 'proportions extrêmes',
+      'audit.unreferenced': 'utilisée ni par la banque de mots ni par la liste',
+      'audit.listing': 'contenu du dossier indisponible (contrôles des majuscules et des fichiers inutilisés ignorés)',
+      'audit.detail.noBackgrounds': 'les fonds ne sont jamais dessinés',
+      'audit.detail.fileIs': 'le fichier est {file}',
+      'audit.detail.noImage': 'pas de champ image',
+      'audit.detail.stretched': '{size}, agrandie {stretch}× pour couvrir {page}',
+      'audit.detail.cropped': '{size}, seuls {percent} % restent après le recadrage A4',
+      'audit.detail.small': '{size}, moins de {px} px',
+      'audit.detail.opaque': 'coins et bords opaques',
+      'audit.noImageFolder': '(pas de champ image)',
+      // index.html hints with markup (data-i18n-html)
+      'ui.auditHint': 'Décompressez dans <code>public/</code> : chaque image provisoire arrive au chemin <code>image</code> de son mot.',
+      'ui.footer': 'Banque de mots : <code>public/data/words.json</code>. Fonds dans <code>public/sprites/backgrounds/</code>, listés dans <code>public/data/backgrounds.json</code>.<br> Servir en local : <code>python -m http.server 5001</code> → ouvrez <code>http://localhost:5001</code>.<br> Vérifier la banque de mots : <code>node tools/lint-words.js</code>.',
+      // Play mode ({words} is markup)
+      'play.score': ({ found, total }) => `${found} sur ${total} trouvés`,
+      'play.result': 'Score : {score}',
+      'play.missed': 'Manqués : {words}',
+      'play.allFound': 'Toutes les cibles sont trouvées !',
+      'play.again': 'Rejouer',
+      'play.close': 'Fermer',
+      'play.finish': 'Terminer',
+      'play.hint': 'Cliquez sur un élément, ou utilisez les flèches et Entrée. Échap termine la partie.'
+    }
+  };
+
+  /**
+   * The string for key in language (English if that language lacks it, the key itself if nobody has it),
+   * with {placeholders} filled from vars: translate('es', 'note.theme', { theme: 'comida' }) → "Tema: comida"
+   */
+  function translate(language, key, vars = {}) {
+    const table = STRINGS[language] || STRINGS.en;
+    const text = key in table ? table[key] : key in STRINGS.en ? STRINGS.en[key] : key;
+    if (typeof text === 'function') return text(vars);
+    return String(text).replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+  }
+
+  return { STRINGS, translate };
+});
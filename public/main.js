@@ -1,29 +1,33 @@
 // ====== Speech Scenes — main.js (final merged) ======
 
 // === PHONEME & CLUSTER MASTER LISTS ===
-// IPA consonant phonemes commonly used in (GenAm/BrE) English.
-const PHONEMES_IPA = [
-  "p","b","t","d","k","g",
-  "f","v","θ","ð","s","z","ʃ","ʒ","h",
-  "tʃ","dʒ",
-  "m","n","ŋ",
-  "l","r","j","w"
-];
-
-// Onset clusters (2-letter)
-const CLUSTERS_2 = [
-  "bl","br","cl","cr","dr","fl","fr","gl","gr","pl","pr","sc","sk","sl","sm","sn","sp","st","sw","tr","tw"
-];
-
-// Common 3-letter clusters
-const CLUSTERS_3 = ["scr","spl","spr","squ","str"];
-
-// Build a single list for UI
-const PHONEME_GROUPS = [
-  { label: "Single phonemes (IPA)", type: "phoneme", items: PHONEMES_IPA },
-  { label: "Clusters (2-letter)",   type: "cluster", items: CLUSTERS_2 },
-  { label: "Clusters (3-letter)",   type: "cluster", items: CLUSTERS_3 }
-];
+// The canonical phoneme registry and word bank schema live in wordbank.js (shared with
+// sprite_maker.html and tools/lint-words.js).
+const { ENGLISH_INVENTORY, packInventory, validateWordBank } = window.WordBank;
+// Word selection, layout and scene documents live in scene-core.js; this file is the browser adapter.
+const SceneCore = window.SceneCore;
+
+// === LANGUAGE PACKS ===
+// Each pack in data/languages.json brings its word bank, sound inventory and sentence grammar;
+// interface strings come from i18n.js. English is built in, so it works without the manifest.
+const LANG_MANIFEST = './data/languages.json';
+const ENGLISH_PACK = { code: 'en', name: 'English', words: 'data/words-library.json' };
+let LANGUAGES = [ENGLISH_PACK];
+let LANGUAGE = ENGLISH_PACK;       // the active pack
+let INVENTORY = ENGLISH_INVENTORY; // its phonemes and clusters
+
+// The active language's string for key (English where it has none)
+const t = (key, vars) => I18n.translate(LANGUAGE.code, key, vars);
+const phonemeIds = () => INVENTORY.phonemes.map(p => p.id);
+
+// Checklist groups for the active pack; a pack without 3-letter clusters has no such group
+function phonemeGroups() {
+  return [
+    { label: t('ui.singlePhonemes'), type: "phoneme", items: phonemeIds() },
+    { label: t('ui.clusters2'),      type: "cluster", items: INVENTORY.clusters2 },
+    { label: t('ui.clusters3'),      type: "cluster", items: INVENTORY.clusters3 }
+  ].filter(group => group.items.length);
+}
 
 
 function renderPhonemeChecklist() {
@@ -32,7 +36,7 @@ function renderPhonemeChecklist() {
   if (!container) return;
 
   container.innerHTML = "";
-  PHONEME_GROUPS.forEach(group => {
+  phonemeGroups().forEach(group => {
     const groupEl = document.createElement("div");
     groupEl.className = "phoneme-group";
 
@@ -44,10 +48,13 @@ function renderPhonemeChecklist() {
     list.className = "phoneme-list";
 
     group.items.forEach(item => {
-      const id = `ph_${group.type}_${item.replace(/[^a-zʃʒθð]+/gi,"-")}`;
+      const id = `ph_${group.type}_${item.replace(/[^\p{L}]+/gu,"-")}`;
       const wrap = document.createElement("label");
       wrap.className = "phoneme-chip";
-      wrap.setAttribute("title", item);
+      const aliases = group.type === "phoneme"
+        ? (INVENTORY.phonemes.find(p => p.id === item)?.aliases || [])
+        : [];
+      wrap.setAttribute("title", [item, ...aliases].join(" · "));
 
       const cb = document.createElement("input");
       cb.type = "checkbox";
@@ -68,6 +75,14 @@ function renderPhonemeChecklist() {
     container.appendChild(groupEl);
   });
 
+  // Minimal-pair sound pickers offer the same inventory as the checklist
+  const ids = phonemeIds();
+  [[mpTargetEl, "s"], [mpContrastEl, "ʃ"]].forEach(([select, initial], i) => {
+    if (!select) return;
+    select.innerHTML = ids.map(p => `<option value="${p}">/${p}/</option>`).join("");
+    select.value = ids.includes(initial) ? initial : ids[i];
+  });
+
   // Select/Clear handlers
   const btnAll = document.getElementById("btnSelectAllPhonemes");
   const btnClear = document.getElementById("btnClearPhonemes");
@@ -79,50 +94,17 @@ function setAllPhonemeChecks(val) {
   document.querySelectorAll("#phonemeFilters input[type=checkbox]").forEach(cb => {
     cb.checked = val;
   });
+  updateCategoryCounts();
   // If your app regenerates on change, trigger it here (optional)
   // generateScene();
 }
 
-function getSelectedPhonemeFilters() {
-  const selected = { phonemes: new Set(), clusters: new Set() };
-  document.querySelectorAll("#phonemeFilters input[type=checkbox]:checked").forEach(cb => {
-    const kind = cb.dataset.kind;
-    const val = cb.value.toLowerCase();
-    if (kind === "phoneme") selected.phonemes.add(val);
-    else if (kind === "cluster") selected.clusters.add(val);
-  });
-  return selected;
-}
-
-// Returns true if a word matches any selected IPA phoneme or any selected cluster
-function matchesPhonemeOrCluster(wordEntry, selected) {
-  // 1) Match IPA phoneme tags if present on the entry
-  if (selected.phonemes.size > 0 && Array.isArray(wordEntry.phonemes)) {
-    const tagHit = wordEntry.phonemes.some(p => selected.phonemes.has(p.toLowerCase()));
-    if (tagHit) return true;
-  }
-
-  // 2) Match clusters orthographically (simple heuristic)
-  if (selected.clusters.size > 0) {
-    const w = (wordEntry.word || "").toLowerCase();
-
-    // check anywhere in word; if you want ONSET-only, use: w.startsWith(cl)
-    for (const cl of selected.clusters) {
-      if (w.includes(cl)) return true;
-    }
-  }
-
-  // If nothing selected, treat as pass-through (handled by caller)
-  return selected.phonemes.size === 0 && selected.clusters.size === 0;
-}
-
 
 // ---- Constants & UI refs ----
-const CANVAS_W = 2480, CANVAS_H = 3508; // A4 @ 300dpi
+const { w: CANVAS_W, h: CANVAS_H } = SceneCore.PAGE; // A4 @ 300dpi
 const canvas = document.getElementById('scene');
 const ctx = canvas.getContext('2d');
 
-const phonemeChecks  = () => [...document.querySelectorAll('input[name="phoneme"]:checked')].map(c => c.value);
 const positionChecks = () => [...document.querySelectorAll('input[name="position"]:checked')].map(c => c.value);
 const syllableChecks = () => [...document.querySelectorAll('input[name="syllables"]:checked')].map(c => c.value);
 
@@ -133,6 +115,32 @@ const targetsEl    = document.getElementById('targets');
 const showLabelsEl = document.getElementById('showLabels');
 const outlineEl    = document.getElementById('outline');
 const useBgsEl     = document.getElementById('useBackgrounds');
+const useAdjEl     = document.getElementById('useAdjectives');
+const seedEl       = document.getElementById('seed');
+const layoutEl     = document.getElementById('layoutMode');
+const gameOptionsEl = document.getElementById('gameOptions');
+const bingoSizeEl  = document.getElementById('bingoSize');
+const bingoFreeEl  = document.getElementById('bingoFree');
+const memoryModeEl = document.getElementById('memoryMode');
+const themedEl     = document.getElementById('themed');
+const pairOptionsEl = document.getElementById('pairOptions');
+const mpTargetEl   = document.getElementById('mpTarget');
+const mpContrastEl = document.getElementById('mpContrast');
+const sentenceOptionsEl = document.getElementById('sentenceOptions');
+const sentenceFrameEl = document.getElementById('sentenceFrame');
+const sentenceTenseEl = document.getElementById('sentenceTense');
+const captionsEl   = document.getElementById('captions');
+const storyOptionsEl = document.getElementById('storyOptions');
+const storyShuffleEl = document.getElementById('storyShuffle');
+const characterPinEl = document.getElementById('characterPin');
+const characterSoundsEl = document.getElementById('characterSounds');
+const packPagesEl  = document.getElementById('packPages');
+const packMixEl    = document.getElementById('packMixTypes');
+const packUniqueEl = document.getElementById('packUnique');
+const packCoverEl  = document.getElementById('packCover');
+const renderModeEl = document.getElementById('renderMode');
+const rotateTargetsEl = document.getElementById('rotateTargets');
+const coverageEl   = document.getElementById('coverage');
 
 let WORDS = null;   // loaded from JSON
 let BG_LIST = null; // backgrounds manifest or fallback
@@ -144,7 +152,7 @@ const errorText  = document.getElementById('errorText');
 const errorClose = document.getElementById('errorClose');
 
 function showError(message) {
-  if (errorText) errorText.textContent = message || 'Your current filters returned no words.';
+  if (errorText) errorText.textContent = message || t('error.default');
   if (errorModal) errorModal.classList.remove('hidden');
 }
 function hideError() { if (errorModal) errorModal.classList.add('hidden'); }
@@ -155,42 +163,57 @@ if (errorModal) {
 document.addEventListener('keydown', e => { if (e.key === 'Escape') hideError(); });
 
 function filterSummary() {
-  const phon = phonemeChecks();
-  const pos  = positionChecks();
-  const syl  = syllableChecks();
-  const sylText = syl.length ? syl.map(s => (s === '4plus' ? '4+' : s)).join(', ') : 'any';
-  return `phonemes: ${phon.length ? phon.join(' · ') : 'any'}, positions: ${pos.join(' · ')}, syllables: ${sylText}`;
+  return SceneCore.filterSummary(selectedFilters(), themeCategory, LANGUAGE.code);
 }
 
 // ---- UI nicety: update Count label/max when mode changes ----
+// label (an i18n key), min, max and the value used when the current count is above max
+const COUNT_LIMITS = {
+  sentence:       { label: 'count.sentences', min: 1, max: 6,  fallback: 6 },
+  story:          { label: 'count.panels',    min: 3, max: 6,  fallback: 4 },
+  descriptive:    { label: 'count.phrases',   min: 1, max: 6,  fallback: 6 },
+  bingo:          { label: 'count.cards',     min: 1, max: 6,  fallback: 2 },
+  'bingo-caller': { label: 'count.cards',     min: 1, max: 6,  fallback: 2 },
+  memory:         { label: 'count.pairs',     min: 2, max: 12, fallback: 6 },
+  'minimal-pairs':{ label: 'count.pairs',     min: 1, max: 8,  fallback: 4 }
+};
 function refreshCountLabel() {
-  if (sceneTypeEl.value === 'sentence') {
-    countLabelEl.firstChild.textContent = ' Sentences: ';
-    countEl.min = 1; countEl.max = 6;
-    if (parseInt(countEl.value,10) > 6) countEl.value = 6;
-  } else {
-    countLabelEl.firstChild.textContent = ' Count: ';
-    countEl.min = 1; countEl.max = 24;
-    if (parseInt(countEl.value,10) > 24) countEl.value = 12;
-  }
+  const limits = COUNT_LIMITS[sceneTypeEl.value] || { label: 'count.count', min: 1, max: 24, fallback: 12 };
+  countLabelEl.firstChild.textContent = ` ${t(limits.label)} `;
+  countEl.min = limits.min; countEl.max = limits.max;
+  if (parseInt(countEl.value,10) > limits.max) countEl.value = limits.fallback;
+  if (parseInt(countEl.value,10) < limits.min) countEl.value = limits.min;
+  gameOptionsEl.classList.toggle('hidden', !['bingo', 'bingo-caller', 'memory'].includes(sceneTypeEl.value));
+  pairOptionsEl.classList.toggle('hidden', sceneTypeEl.value !== 'minimal-pairs');
+  sentenceOptionsEl.classList.toggle('hidden', !['sentence', 'story'].includes(sceneTypeEl.value));
+  storyOptionsEl.classList.toggle('hidden', sceneTypeEl.value !== 'story');
 }
 sceneTypeEl.addEventListener('change', refreshCountLabel);
 refreshCountLabel();
 
 // ---- Background list loader ----
-async function loadBackgroundList() {
-  if (BG_LIST) return BG_LIST;
+const BG_MANIFEST = './data/backgrounds.json';
+
+// The manifest's list, or null if it is missing or empty
+async function fetchBackgroundManifest() {
   try {
-    const res = await fetch('./data/backgrounds.json', { cache: 'no-store' });
+    const res = await fetch(BG_MANIFEST, { cache: 'no-store' });
     if (res.ok) {
       const j = await res.json();
-      if (Array.isArray(j?.backgrounds) && j.backgrounds.length) {
-        BG_LIST = j.backgrounds;
-        console.log('[backgrounds] loaded manifest with', BG_LIST.length, 'items');
-        return BG_LIST;
-      }
+      if (Array.isArray(j?.backgrounds) && j.backgrounds.length) return j.backgrounds;
     }
-  } catch (e) { /* ignore; fall back below */ }
+  } catch (e) { /* ignore; callers fall back */ }
+  return null;
+}
+
+async function loadBackgroundList() {
+  if (BG_LIST) return BG_LIST;
+  const manifest = await fetchBackgroundManifest();
+  if (manifest) {
+    BG_LIST = manifest;
+    console.log('[backgrounds] loaded manifest with', BG_LIST.length, 'items');
+    return BG_LIST;
+  }
   BG_LIST = [
     "sprites/backgrounds/bg_classroom.jpg",
     "sprites/backgrounds/bg_classroom.png",
@@ -205,6 +228,133 @@ async function loadBackgroundList() {
   return BG_LIST;
 }
 
+// ---- Character list loader ----
+// Sentence and story subjects; without a manifest they stay the grey "person" block
+const CHAR_MANIFEST = './data/characters.json';
+let CHARACTERS = null; // normalized manifest entries ([] if there is none)
+// Pinned character from a shared link, applied once the picker is filled
+let restoredCharacter = null;
+
+async function loadCharacterList() {
+  if (CHARACTERS) return CHARACTERS;
+  try {
+    const res = await fetch(CHAR_MANIFEST, { cache: 'no-store' });
+    CHARACTERS = res.ok ? SceneCore.normalizeCharacters((await res.json())?.characters, INVENTORY) : [];
+  } catch (e) {
+    CHARACTERS = [];
+  }
+  console.log('[characters]', CHARACTERS.length ? `loaded manifest with ${CHARACTERS.length} characters` : 'no manifest; using the person placeholder');
+  renderCharacterPicker();
+  return CHARACTERS;
+}
+
+function renderCharacterPicker() {
+  const current = restoredCharacter ?? characterPinEl.value;
+  restoredCharacter = null;
+  characterPinEl.innerHTML = `<option value="">${escapeHtml(t('ui.rotate'))}</option>` +
+    CHARACTERS.map(c => `<option value="${escapeHtml(c.word)}">${escapeHtml(c.word)} (${c.pronouns})</option>`).join('');
+  characterPinEl.value = CHARACTERS.some(c => c.word === current) ? current : '';
+}
+
+async function sceneCharacters(scene = sceneTypeEl.value) {
+  return ['sentence', 'story'].includes(scene) ? loadCharacterList() : [];
+}
+
+// ---- Language pack loader ----
+const languageEl = document.getElementById('language');
+
+// The manifest's packs, or English alone if it is missing
+async function loadLanguageList() {
+  try {
+    const res = await fetch(LANG_MANIFEST, { cache: 'no-store' });
+    if (res.ok) {
+      const packs = (await res.json())?.languages;
+      if (Array.isArray(packs) && packs.length) LANGUAGES = packs;
+    }
+  } catch (e) { /* ignore; English only */ }
+  console.log('[languages]', LANGUAGES.map(p => p.code).join(', '));
+  languageEl.innerHTML = LANGUAGES.map(p => `<option value="${escapeHtml(p.code)}">${escapeHtml(p.name || p.code)}</option>`).join('');
+  languageEl.value = LANGUAGE.code;
+  return LANGUAGES;
+}
+
+// Makes a pack the active one: page strings, checklist (keeping the ticks it shares with the old one),
+// frames and characters follow at once; the word bank reloads on next use. Unknown codes are ignored.
+function setLanguage(code) {
+  const pack = LANGUAGES.find(p => p.code === code);
+  if (!pack) return false;
+  const ticked = checkedValues('#phonemeFilters input');
+  if (pack.code !== LANGUAGE.code) {
+    WORDS = null;
+    CHARACTERS = null; // their sounds are tagged with the inventory
+  }
+  LANGUAGE = pack;
+  INVENTORY = packInventory(pack);
+  languageEl.value = pack.code;
+  translatePage();
+  renderPhonemeChecklist();
+  setCheckedValues('#phonemeFilters input', ticked);
+  renderFrameOptions();
+  refreshCountLabel();
+  renderClientBar();
+  renderScoring(sceneDoc);
+  renderProgress();
+  if (lastAudit) renderAuditReport(lastAudit);
+  if (play) renderPlayPanel();
+  if (CHARACTERS) renderCharacterPicker();
+  return true;
+}
+
+// Static text marked data-i18n (text), data-i18n-html (hints with <code> markup, from i18n.js only),
+// data-i18n-title (tooltip) or data-i18n-aria (aria-label) in index.html
+function translatePage() {
+  document.documentElement.lang = LANGUAGE.code;
+  document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  document.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+  document.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+  document.querySelectorAll('[data-i18n-aria]').forEach(el => { el.setAttribute('aria-label', t(el.dataset.i18nAria)); });
+}
+
+// Frame labels are the pack grammar's own ("Sam ___ el ___")
+function renderFrameOptions() {
+  const current = sentenceFrameEl.value;
+  const { frames } = Grammar.grammarFor(LANGUAGE.code);
+  sentenceFrameEl.innerHTML = Object.entries(frames).map(([id, frame]) => `<option value="${id}">${escapeHtml(frame.label)}</option>`).join('');
+  sentenceFrameEl.value = frames[current] ? current : Grammar.DEFAULT_GRAMMAR.frame;
+}
+
+// Everything read from the active pack's files; run after a language change
+async function loadLanguageData() {
+  await Promise.all([loadWords(), loadCharacterList()]);
+  renderCategoryChecklist();
+}
+
+// Loads the pack just switched to and redraws. If its data fails to load, the previous pack comes back
+// (checklist, labels and hash) with the error shown, rather than the new UI over the old page.
+async function loadLanguageAndGenerate(previous) {
+  try {
+    await loadLanguageData();
+  } catch (e) {
+    console.error(e);
+    const failed = LANGUAGE.name;
+    setLanguage(previous);
+    showError(t('error.languageFailed', { language: failed, message: e.message }));
+    try {
+      await loadLanguageData();
+    } catch (err) {
+      console.error(err);
+      targetsEl.innerHTML = `<p class="error">${t('targets.startup')}</p>`;
+      return;
+    }
+  }
+  generate();
+}
+
+languageEl.addEventListener('change', () => {
+  const previous = LANGUAGE.code;
+  if (setLanguage(languageEl.value)) loadLanguageAndGenerate(previous);
+});
+
 // ---- Word bank loader ----
 async function loadWords() {
   const tryFetch = async (path) => {
@@ -212,40 +362,54 @@ async function loadWords() {
       const res = await fetch(path, { cache: 'no-store' });
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const j = await res.json();
-      if (!j?.nouns || !j?.verbs) throw new Error('missing "nouns"/"verbs" arrays');
+      const report = validateWordBank(j, INVENTORY);
+      if (report.fatal) throw new Error(report.errors.map(e => e.message).join('; '));
       console.log('[words] loaded', path);
+      renderWordBankReport(path, report);
       return j;
     } catch (e) {
       console.warn('[words] failed', path, e.message);
       return null;
     }
   };
-  WORDS = await tryFetch('./data/words-library.json') || await tryFetch('./data/words.json');
-  if (!WORDS) throw new Error('Could not load word bank from ./data/');
-}
-
-// ---- Geometry helpers ----
-function rectsOverlap(a, b, pad = 8) {
-  return !(
-    a.x + a.w + pad < b.x ||
-    a.x > b.x + b.w + pad ||
-    a.y + a.h + pad < b.y ||
-    a.y > b.y + b.h + pad
-  );
-}
-function findSpot(w, h, placed, margin = 80, tries = 300) {
-  const minX = margin, maxX = CANVAS_W - margin - w;
-  const minY = margin, maxY = CANVAS_H - margin - h;
-  if (maxX < minX || maxY < minY) return null;
-  for (let i = 0; i < tries; i++) {
-    const x = Math.floor(Math.random() * (maxX - minX + 1)) + minX;
-    const y = Math.floor(Math.random() * (maxY - minY + 1)) + minY;
-    const candidate = { x, y, w, h };
-    if (!placed.some(r => rectsOverlap(candidate, r, 16))) return candidate;
+  // English keeps the older words.json as a fallback
+  WORDS = await tryFetch(`./${LANGUAGE.words}`) || (LANGUAGE.code === 'en' ? await tryFetch('./data/words.json') : null);
+  if (!WORDS) throw new Error(t('error.wordBankLoad', { language: LANGUAGE.code, path: `./${LANGUAGE.words}` }));
+  normalizeWordPhonemes(WORDS);
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+// In-page summary of schema problems found by validateWordBank()
+function renderWordBankReport(path, report) {
+  const el = document.getElementById('wordBankReport');
+  if (!el) return;
+  const issues = [
+    ...report.errors.map(e => ({ ...e, level: 'error' })),
+    ...report.warnings.map(w => ({ ...w, level: 'warning' }))
+  ];
+  if (!issues.length) { el.classList.add('hidden'); el.innerHTML = ''; return; }
+  if (report.errors.length) console.warn(`[words] ${path} has ${report.errors.length} schema error(s); run tools/lint-words.js for details`);
+  el.innerHTML = `<summary>${t('wordBank.summary', { path: escapeHtml(path), errors: report.errors.length, warnings: report.warnings.length })}</summary>
+    <ul>${issues.map(i => `<li class="${i.level}"><strong>${escapeHtml(t(`severity.${i.level}`))}</strong> ${escapeHtml(i.path)}: ${escapeHtml(i.message)}</li>`).join('')}</ul>`;
+  el.classList.remove('hidden');
+}
+
+// Rewrite every entry's phoneme tags to canonical IDs of the pack's inventory, warning about unknown tags
+function normalizeWordPhonemes(bank) {
+  const unknown = SceneCore.normalizeBank(bank, INVENTORY); // tag → example words
+  if (unknown.size) {
+    const detail = [...unknown].map(([tag, words]) => `"${tag}" (${words.slice(0, 3).join(', ')}${words.length > 3 ? '…' : ''})`);
+    console.warn('[phonemes] word bank uses tags the registry does not recognise:', detail.join('; '));
   }
-  return null;
 }
 
+// ---- Seeds ----
+// Randomness itself lives in SceneCore: generators derive their rng from the seed in sceneOptions()
+function newSeed() { return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0'); }
+
 // ---- Visual helpers ----
 const BLOCK_COLOR = "#EDEFF3";
 function wrapText(ctx, text, maxWidth) {
@@ -271,7 +435,7 @@ function drawBlock(x, y, w, h, outline) {
 function drawLabelInRect(x, y, w, h, label) {
   ctx.save();
   ctx.fillStyle = "#111";
-  ctx.font = "bold 56px system-ui, sans-serif";
+  ctx.font = SceneCore.LABEL_FONT;
   ctx.textBaseline = "top";
   const pad = 16;
   const maxWidth = w - pad*2;
@@ -305,145 +469,681 @@ function drawImageFit(img, x, y, w, h, pad = 16) {
   const dx = Math.floor(x + (w - dw) / 2);
   const dy = Math.floor(y + (h - dh) / 2);
   ctx.imageSmoothingEnabled = true;
-  ctx.drawImage(img, dx, dy, dw, dh);
+  ctx.drawImage(styledImage(img, 'sprite'), dx, dy, dw, dh);
 }
 
-// ---- Background drawing: random ONLY for Sentence; plain white for others ----
-async function drawBackground() {
-  const scene = sceneTypeEl.value;
-  if (scene !== "sentence" || !useBgsEl.checked) {
-    ctx.fillStyle = "#FFFFFF";
-    ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
-    return;
+// ---- Print modes ----
+// Applied to pictures as they are drawn, so the preview and every export (PNG, PDF, SVG) match.
+// colour: as-is · grayscale: everything grey · ink-saver: backgrounds washed out · colouring: line art to colour in
+const RENDER_MODES = ['colour', 'grayscale', 'ink-saver', 'colouring'];
+const RENDER_MAX_SIDE = 1200;       // big photos are processed at this size; the page scales them back up
+const styledImages = new WeakMap(); // img → Map(mode:role → canvas)
+
+// img as the current print mode draws it; role is 'sprite' or 'background'
+function styledImage(img, role) {
+  const mode = renderModeEl.value;
+  if (!img || mode === 'colour' || (mode === 'ink-saver' && role !== 'background')) return img;
+  if (!styledImages.has(img)) styledImages.set(img, new Map());
+  const cache = styledImages.get(img);
+  const key = `${mode}:${role}`;
+  if (!cache.has(key)) {
+    try {
+      cache.set(key, restyle(img, mode, role));
+    } catch (e) {
+      // A picture from another origin can't be read back; draw it unchanged
+      console.warn('[print] could not restyle:', img.src, e.message);
+      cache.set(key, img);
+    }
   }
-  const list = await loadBackgroundList();
-  if (!list || !list.length) {
-    ctx.fillStyle = "#FFFFFF";
-    ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
-    return;
+  return cache.get(key);
+}
+
+function restyle(img, mode, role) {
+  const scale = Math.min(1, RENDER_MAX_SIDE / Math.max(img.width, img.height));
+  const out = document.createElement('canvas');
+  out.width = Math.max(1, Math.round(img.width * scale));
+  out.height = Math.max(1, Math.round(img.height * scale));
+  const octx = out.getContext('2d');
+  octx.drawImage(img, 0, 0, out.width, out.height);
+  const image = octx.getImageData(0, 0, out.width, out.height);
+  if (mode === 'grayscale') toGrayscale(image.data);
+  else if (mode === 'ink-saver') washOut(image.data, 0.75);
+  // Backgrounds get fainter, grey lines so the targets stand out
+  else if (mode === 'colouring') toLineArt(image, role === 'background' ? { threshold: 140, ink: 110 } : { threshold: 80, ink: 0 });
+  octx.putImageData(image, 0, 0);
+  return out;
+}
+
+const luminance = (d, i) => 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+
+function toGrayscale(data) {
+  for (let i = 0; i < data.length; i += 4) data[i] = data[i + 1] = data[i + 2] = luminance(data, i);
+}
+
+// Moves every colour towards white by strength (0 = unchanged, 1 = blank)
+function washOut(data, strength) {
+  for (let i = 0; i < data.length; i += 4) {
+    for (let c = 0; c < 3; c++) data[i + c] += (255 - data[i + c]) * strength;
   }
-  const bgPath = list[Math.floor(Math.random() * list.length)];
-  const bg = await loadImage(bgPath);
-  if (bg) {
-    const scale = Math.max(CANVAS_W / bg.width, CANVAS_H / bg.height);
-    const dw = bg.width * scale;
-    const dh = bg.height * scale;
-    const dx = (CANVAS_W - dw) / 2;
-    const dy = (CANVAS_H - dh) / 2;
-    ctx.drawImage(bg, dx, dy, dw, dh);
-  } else {
+}
+
+// Sobel edges of the picture flattened onto white (so a sprite's silhouette counts), lightly blurred
+// first to drop photo noise: ink where the edge is stronger than threshold, white elsewhere.
+function toLineArt({ data, width, height }, { threshold, ink }) {
+  const gray = new Float32Array(width * height);
+  for (let p = 0; p < gray.length; p++) gray[p] = 255 - (data[p * 4 + 3] / 255) * (255 - luminance(data, p * 4));
+  const at = (src, x, y) => src[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+  const soft = new Float32Array(gray.length);
+  for (let y = 0; y < height; y++) for (let x = 0; x < width; x++) {
+    let sum = 0;
+    for (let dy = -1; dy <= 1; dy++) for (let dx = -1; dx <= 1; dx++) sum += at(gray, x + dx, y + dy);
+    soft[y * width + x] = sum / 9;
+  }
+  for (let y = 0; y < height; y++) for (let x = 0; x < width; x++) {
+    const gx = at(soft, x + 1, y - 1) + 2 * at(soft, x + 1, y) + at(soft, x + 1, y + 1)
+             - at(soft, x - 1, y - 1) - 2 * at(soft, x - 1, y) - at(soft, x - 1, y + 1);
+    const gy = at(soft, x - 1, y + 1) + 2 * at(soft, x, y + 1) + at(soft, x + 1, y + 1)
+             - at(soft, x - 1, y - 1) - 2 * at(soft, x, y - 1) - at(soft, x + 1, y - 1);
+    const i = (y * width + x) * 4;
+    const edge = Math.hypot(gx, gy) > threshold;
+    data[i] = data[i + 1] = data[i + 2] = edge ? ink : 255;
+    if (edge) data[i + 3] = 255; // the outline just outside a sprite is drawn too
+  }
+}
+
+// Data URI of the picture at path as the print mode draws it, or null when the mode leaves it as-is
+async function styledDataUrl(path, role) {
+  const img = await loadImage(path);
+  const styled = styledImage(img, role);
+  return styled && styled !== img ? styled.toDataURL('image/png') : null;
+}
+
+// ---- Backgrounds: only Sentence scenes draw one (SceneCore picks it from this list) ----
+async function sceneBackgrounds(scene = sceneTypeEl.value) {
+  if (!["sentence", "story"].includes(scene) || !useBgsEl.checked) return [];
+  return (await loadBackgroundList()) || [];
+}
+function paintBackground(bg) {
+  if (!bg) {
     ctx.fillStyle = "#FFFFFF";
     ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
+    return;
   }
+  const scale = Math.max(CANVAS_W / bg.width, CANVAS_H / bg.height);
+  const dw = bg.width * scale;
+  const dh = bg.height * scale;
+  const dx = (CANVAS_W - dw) / 2;
+  const dy = (CANVAS_H - dh) / 2;
+  ctx.drawImage(styledImage(bg, 'background'), dx, dy, dw, dh);
 }
 
-// ---- Draw an item: image if present, else placeholder block + label ----
-async function drawItem({ item, rect, outline, showLabel }) {
-  const img = await loadImage(item.image);
+// ---- Paint a document item: image if present, else placeholder block + label ----
+function paintItem(item, img, outline) {
+  const { x, y, w, h } = item.rect;
+  if (item.kind === 'character' && !img) {
+    drawCharacterPlaceholder(x, y, w, h, item.word);
+    return;
+  }
   if (img) {
-    drawImageFit(img, rect.x, rect.y, rect.w, rect.h, 16);
+    drawImageFit(img, x, y, w, h, 16);
   } else {
-    drawBlock(rect.x, rect.y, rect.w, rect.h, outline);
+    drawBlock(x, y, w, h, outline);
   }
-  if (showLabel) drawLabelInRect(rect.x, rect.y, rect.w, rect.h, item.word);
+  if (item.label) drawLabelInRect(x, y, w, h, item.word);
 }
-
-// ---- Syllable filter ----
-function matchesSyllables(item, sel) {
-  if (!sel.length) return true; // no restriction
-  const s = Number(item.syllables || 0);
-  const wants4plus = sel.includes('4plus');
-  const nums = sel.filter(v => v !== '4plus').map(v => Number(v));
-  if (wants4plus && s >= 4) return true;
-  return nums.includes(s);
+// Sentence captions, worded by SceneCore from the page's current items
+function paintCaptions(doc) {
+  ctx.save();
+  ctx.font = SceneCore.LABEL_FONT;
+  const captions = SceneCore.docCaptions(doc, text => ctx.measureText(text).width);
+  ctx.fillStyle = "#111";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  for (const { x, y, w, size, lines } of captions) {
+    ctx.font = `bold ${size}px system-ui, sans-serif`;
+    lines.forEach((line, i) => ctx.fillText(line, x + w / 2, y + Math.round(i * size * 1.2)));
+  }
+  ctx.restore();
 }
 
-// ---- Filtering & selection (now includes syllables) ----
-/**
- * type: 'actions' for verbs; anything else for nouns
- * phonemes: array of IPA symbols
- * positions: ['initial','medial','final']
- * syllablesSel: ['1','2','3','4plus']
- */
-function passesPhonemeFilters(item, legacyPhonemes) {
-  const sel = getSelectedPhonemeFilters(); // { phonemes:Set, clusters:Set }
+// ---- Generator options ----
+// SceneCore generators never touch the DOM: everything they read is gathered here
+function selectedFilters() {
+  return {
+    phonemes: checkedValues('#phonemeFilters input[data-kind="phoneme"]'),
+    clusters: checkedValues('#phonemeFilters input[data-kind="cluster"]'),
+    positions: positionChecks(),
+    syllables: syllableChecks(),
+    categories: categoryChecks()
+  };
+}
 
-  // If nothing selected in the new UI, fall back to legacy checkbox behavior
-  if (sel.phonemes.size === 0 && sel.clusters.size === 0) {
-    return Array.isArray(item.phonemes)
-      ? item.phonemes.some(p => legacyPhonemes.includes(p))
-      : true;
-  }
+// While a PDF pack is being built, words already used on earlier pages are excluded
+let packUsedWords = null;
+// Card signatures already used on earlier pages of a PDF pack (null outside packs)
+let packBingoCards = null;
+
+async function sceneOptions(type = sceneTypeEl.value, pageSeed = null) {
+  return {
+    type,
+    count: countEl.value,
+    seed: seedEl.value.trim(),
+    pageSeed,
+    layout: layoutEl.value,
+    filters: selectedFilters(),
+    labels: showLabelsEl.checked,
+    outline: outlineEl.checked,
+    adjectives: useAdjEl.checked,
+    backgrounds: await sceneBackgrounds(type),
+    themed: themedEl.checked,
+    bingo: { size: bingoSizeEl.value, free: bingoFreeEl.checked },
+    memory: memoryModeEl.value,
+    pairs: { target: mpTargetEl.value, contrast: mpContrastEl.value },
+    sentence: { frame: sentenceFrameEl.value, tense: sentenceTenseEl.value, captions: captionsEl.checked },
+    story: { shuffled: storyShuffleEl.checked },
+    characters: await sceneCharacters(type),
+    character: { pinned: characterPinEl.value, matchSounds: characterSoundsEl.checked },
+    exclude: packUsedWords,
+    bingoCards: packBingoCards,
+    history: rotateTargetsEl.checked ? usageHistory() : null,
+    language: LANGUAGE.code,
+    inventory: INVENTORY
+  };
+}
 
-  // Otherwise use the new IPA/cluster matcher
-  return matchesPhonemeOrCluster(item, sel);
+// Swap candidates and category counts use the same filters as the generators (and the page's theme)
+function currentPool(type) {
+  return SceneCore.pool(WORDS, type, { filters: selectedFilters(), exclude: packUsedWords }, themeCategory);
 }
 
-function pool(type, phonemes, positions, syllablesSel) {
-  const list = (type === 'actions') ? WORDS.verbs : WORDS.nouns;
-  return list.filter(item =>
-    positions.includes(item.position) &&
-    matchesSyllables(item, syllablesSel || []) &&
-    passesPhonemeFilters(item, phonemes)
-  );
+// ---- Categories & themed scenes ----
+const categoryChecks = () => checkedValues('#categoryFilters input');
+
+// Set by renderScene for each page when "Themed scene" is on (and restored from opened documents)
+let themeCategory = null;
+// Categories from a shared link, applied once the checklist exists
+let restoredCategories = null;
+
+function renderCategoryChecklist() {
+  const host = document.getElementById('categoryFilters');
+  if (!host || !WORDS) return;
+  const selected = restoredCategories || categoryChecks();
+  restoredCategories = null;
+  const all = [...new Set(['nouns', 'verbs'].flatMap(k => (WORDS[k] || []).flatMap(e => e.categories || [])))].sort();
+  host.innerHTML = all.map(c =>
+    `<label data-category="${escapeHtml(c)}"><input type="checkbox" value="${escapeHtml(c)}"${selected.includes(c) ? ' checked' : ''}> ${escapeHtml(c)} <span class="count"></span></label>`
+  ).join('');
+  updateCategoryCounts();
 }
 
-function sample(list, n) { return [...list].sort(() => Math.random() - 0.5).slice(0, n); }
-function randBetween(a, b) { return Math.floor(Math.random() * (b - a + 1)) + a; }
+// Live counts so empty combinations show up before Generate is clicked
+function updateCategoryCounts() {
+  if (!WORDS) return;
+  const counts = SceneCore.categoryCounts(WORDS, { filters: selectedFilters(), exclude: packUsedWords });
+  document.querySelectorAll('#categoryFilters label').forEach(label => {
+    const n = counts.get(label.dataset.category) || 0;
+    label.querySelector('.count').textContent = `(${n})`;
+    label.classList.toggle('empty', n === 0);
+  });
+}
 
 // ---- Usage log (localStorage) ----
+// Entries are tagged with the active client/session (see "Clients, sessions & trial scoring")
 function logUsage(event) {
   const key = 'sceneUsageLog';
   const list = JSON.parse(localStorage.getItem(key) || '[]');
-  list.push({ ts: new Date().toISOString(), ...event });
+  const client = activeClient();
+  const session = activeSession();
+  list.push({ ts: new Date().toISOString(), clientId: client?.id, sessionId: session?.id, ...event });
   localStorage.setItem(key, JSON.stringify(list));
 }
+// Words practised by the active client (with no client, those logged without one), oldest first
+function usageHistory() {
+  const clientId = activeClient()?.id;
+  return JSON.parse(localStorage.getItem('sceneUsageLog') || '[]')
+    .filter(event => event.clientId === clientId)
+    .flatMap(SceneCore.usageWords);
+}
+
+// How much of the current scene's pool that history covers
+function updateCoverage() {
+  if (!WORDS) return;
+  const words = SceneCore.targetWords(WORDS, sceneTypeEl.value, {
+    filters: selectedFilters(), adjectives: useAdjEl.checked,
+    pairs: { target: mpTargetEl.value, contrast: mpContrastEl.value }, inventory: INVENTORY
+  });
+  const { practised, total } = SceneCore.coverage(words, usageHistory());
+  coverageEl.textContent = total ? t('coverage', { practised, total, percent: Math.round(100 * practised / total) }) : '';
+}
+
+function toCSV(rows) {
+  return rows.map(r => r.map(x => `"${String(x ?? '').replace(/"/g,'""')}"`).join(',')).join('\n');
+}
 function exportUsageCSV() {
   const key = 'sceneUsageLog';
   const list = JSON.parse(localStorage.getItem(key) || '[]');
-  const rows = [['timestamp','mode','verb','noun']];
-  for (const r of list) rows.push([r.ts, r.mode || '', r.verb || '', r.noun || '']);
-  const csv = rows.map(r => r.map(x => `"${String(x).replace(/"/g,'""')}"`).join(',')).join('\n');
-  const blob = new Blob([csv], { type: 'text/csv' });
+  const names = new Map(readStore('sceneClients', []).map(c => [c.id, c.name]));
+  const rows = [['timestamp','client','session','mode','verb','adjective','noun','words']];
+  for (const r of list) rows.push([r.ts, names.get(r.clientId) || '', r.sessionId || '', r.mode || '', r.verb || '', r.adjective || '', r.noun || '', (r.words || []).join(' ')]);
+  const blob = new Blob([toCSV(rows)], { type: 'text/csv' });
   const a = document.createElement('a'); a.href = URL.createObjectURL(blob);
   a.download = 'usage_log.csv'; a.click(); URL.revokeObjectURL(a.href);
 }
 
+// ---- Clients, sessions & trial scoring (localStorage) ----
+// sceneClients:  [{ id, name, createdAt }]
+// sceneSessions: [{ id, clientId, startedAt, scenes: [{ id, ts, type, seed, words }] }]
+// sceneTrials:   [{ ts, clientId, sessionId, sceneId, word, kind, phonemes, position, syllables, score }]
+const SCORES = [
+  { id: 'correct',   symbol: '✓', label: 'score.correct' },
+  { id: 'approx',    symbol: '≈', label: 'score.approx' },
+  { id: 'incorrect', symbol: '✗', label: 'score.incorrect' }
+];
+
+const clientSelectEl = document.getElementById('clientSelect');
+const sessionInfoEl  = document.getElementById('sessionInfo');
+const scoringEl      = document.getElementById('scoring');
+const progressEl     = document.getElementById('progress');
+
+function readStore(key, fallback) {
+  try { return JSON.parse(localStorage.getItem(key)) ?? fallback; }
+  catch (e) { return fallback; }
+}
+function writeStore(key, value) { localStorage.setItem(key, JSON.stringify(value)); }
+// Math.random on purpose: ids are not part of the seeded page
+function newId() { return Date.now().toString(36) + Math.random().toString(36).slice(2, 6); }
+
+function activeClient() {
+  const id = localStorage.getItem('sceneActiveClient');
+  return readStore('sceneClients', []).find(c => c.id === id) || null;
+}
+function activeSession() {
+  const client = activeClient();
+  const id = localStorage.getItem('sceneActiveSession');
+  const session = readStore('sceneSessions', []).find(s => s.id === id);
+  return client && session && session.clientId === client.id ? session : null;
+}
+
+function startSession() {
+  const client = activeClient();
+  if (!client) return null;
+  const session = { id: newId(), clientId: client.id, startedAt: new Date().toISOString(), scenes: [] };
+  writeStore('sceneSessions', [...readStore('sceneSessions', []), session]);
+  localStorage.setItem('sceneActiveSession', session.id);
+  renderClientBar();
+  return session;
+}
+
+// Attach a shown scene to the active client's session (starting one if needed)
+function attachSceneToSession(doc) {
+  if (!doc || !activeClient()) return;
+  const session = activeSession() || startSession();
+  doc.id = doc.id || newId();
+  const sessions = readStore('sceneSessions', []);
+  const stored = sessions.find(s => s.id === session.id);
+  if (!stored.scenes.some(sc => sc.id === doc.id)) {
+    stored.scenes.push({ id: doc.id, ts: new Date().toISOString(), type: doc.type, seed: doc.seed, words: docWords(doc).map(i => i.word) });
+    writeStore('sceneSessions', sessions);
+  }
+  renderClientBar();
+  renderScoring(doc);
+}
+
+function addClient() {
+  const name = (prompt(t('ui.addClientPrompt')) || '').trim();
+  if (!name) return;
+  const client = { id: newId(), name, createdAt: new Date().toISOString() };
+  writeStore('sceneClients', [...readStore('sceneClients', []), client]);
+  selectClient(client.id);
+}
+function selectClient(id) {
+  if (id) localStorage.setItem('sceneActiveClient', id);
+  else localStorage.removeItem('sceneActiveClient');
+  localStorage.removeItem('sceneActiveSession');
+  renderClientBar();
+  if (sceneDoc && id) attachSceneToSession(sceneDoc);
+  else renderScoring(sceneDoc);
+  renderProgress();
+}
+
+function renderClientBar() {
+  const clients = readStore('sceneClients', []);
+  const current = activeClient();
+  clientSelectEl.innerHTML = `<option value="">${escapeHtml(t('ui.noClient'))}</option>` +
+    clients.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('');
+  clientSelectEl.value = current ? current.id : '';
+  const session = activeSession();
+  sessionInfoEl.textContent = !current ? t('session.pickClient')
+    : session ? t('session.started', { date: new Date(session.startedAt).toLocaleString(), scenes: session.scenes.length })
+    : t('session.none');
+}
+
+function recordTrial(item, score) {
+  const client = activeClient();
+  const session = activeSession();
+  if (!client || !session || !sceneDoc) return;
+  const trials = readStore('sceneTrials', []);
+  trials.push({
+    ts: new Date().toISOString(), clientId: client.id, sessionId: session.id, sceneId: sceneDoc.id,
+    word: item.word, kind: item.kind, phonemes: item.phonemes || [], position: item.position || '',
+    syllables: item.syllables || 0, score
+  });
+  writeStore('sceneTrials', trials);
+  renderScoring(sceneDoc);
+  renderProgress();
+}
+
+// Per-target score buttons for the page on screen, with tallies for this scene
+function renderScoring(doc) {
+  const session = activeSession();
+  if (!doc || !doc.id || !session) { scoringEl.innerHTML = ''; return; }
+  const trials = readStore('sceneTrials', []).filter(trial => trial.sceneId === doc.id);
+  const rows = docWords(doc).map(item => {
+    const mine = trials.filter(trial => trial.word === item.word);
+    const tally = SCORES.map(s => `${s.symbol}${mine.filter(trial => trial.score === s.id).length}`).join(' ');
+    const buttons = SCORES.map(s =>
+      `<button type="button" class="btn-mini" data-item="${item.id}" data-score="${s.id}" title="${escapeHtml(t(s.label))}">${s.symbol}</button>`).join('');
+    return `<tr><td>${escapeHtml(item.word)}</td><td>${buttons}</td><td class="tally">${tally}</td></tr>`;
+  });
+  scoringEl.innerHTML = `<h3>${escapeHtml(t('score.heading', { name: activeClient().name }))}</h3>
+    <table class="score-table"><tbody>${rows.join('')}</tbody></table>`;
+}
+scoringEl.addEventListener('click', e => {
+  const btn = e.target.closest('button[data-score]');
+  if (!btn || !sceneDoc) return;
+  const item = sceneDoc.items.find(i => i.id === Number(btn.dataset.item));
+  if (item) recordTrial(item, btn.dataset.score);
+});
+
+// ---- Progress summaries ----
+function emptyTally() { return { correct: 0, approx: 0, incorrect: 0, total: 0 }; }
+function addToTally(map, key, score) {
+  if (!map.has(key)) map.set(key, emptyTally());
+  const tally = map.get(key);
+  tally[score]++;
+  tally.total++;
+}
+function accuracy(tally) { return tally.total ? Math.round(100 * tally.correct / tally.total) : 0; }
+
+function clientSummary(clientId) {
+  const trials = readStore('sceneTrials', []).filter(trial => trial.clientId === clientId);
+  const sessions = readStore('sceneSessions', []).filter(s => s.clientId === clientId);
+  const byPhoneme = new Map(), byPosition = new Map(), bySyllables = new Map(), bySession = new Map();
+  for (const trial of trials) {
+    (trial.phonemes.length ? trial.phonemes : ['?']).forEach(p => addToTally(byPhoneme, `/${p}/`, trial.score));
+    addToTally(byPosition, trial.position || '?', trial.score);
+    addToTally(bySyllables, trial.syllables >= 4 ? '4+' : String(trial.syllables || '?'), trial.score);
+    addToTally(bySession, trial.sessionId, trial.score);
+  }
+  const sessionRows = sessions
+    .filter(s => bySession.has(s.id))
+    .map(s => ({ session: s.id, startedAt: s.startedAt, ...bySession.get(s.id) }));
+  const rows = map => [...map].sort((a, b) => a[0].localeCompare(b[0])).map(([key, tally]) => ({ key, ...tally, accuracy: accuracy(tally) }));
+  return {
+    trials,
+    byPhoneme: rows(byPhoneme), byPosition: rows(byPosition), bySyllables: rows(bySyllables),
+    overTime: sessionRows.map(r => ({ ...r, accuracy: accuracy(r) }))
+  };
+}
+
+function renderProgress() {
+  const client = activeClient();
+  if (!client) { progressEl.classList.add('hidden'); return; }
+  const summary = clientSummary(client.id);
+  const table = (title, rows, keyLabel) => rows.length ? `
+    <table class="progress-table"><caption>${t(title)}</caption>
+      <thead><tr><th>${t(keyLabel)}</th><th>✓</th><th>≈</th><th>✗</th><th>${t('progress.trials')}</th><th>${t('progress.accuracy')}</th></tr></thead>
+      <tbody>${rows.map(r => `<tr><td>${escapeHtml(r.key)}</td><td>${r.correct}</td><td>${r.approx}</td><td>${r.incorrect}</td><td>${r.total}</td><td>${r.accuracy}%</td></tr>`).join('')}</tbody>
+    </table>` : '';
+  const overTime = summary.overTime.map(r => ({ ...r, key: new Date(r.startedAt).toLocaleDateString() }));
+  progressEl.querySelector('.progress-body').innerHTML = summary.trials.length
+    ? table('progress.byPhoneme', summary.byPhoneme, 'progress.phoneme') + table('progress.byPosition', summary.byPosition, 'progress.position') +
+      table('progress.bySyllables', summary.bySyllables, 'progress.syllables') + table('progress.overTime', overTime, 'progress.session')
+    : `<p class="hint">${t('progress.none')}</p>`;
+  progressEl.querySelector('summary').textContent = t('progress.summary', { name: client.name, n: summary.trials.length });
+  progressEl.classList.remove('hidden');
+}
+
+function downloadFile(name, text, type) {
+  const blob = new Blob([text], { type });
+  const a = document.createElement('a'); a.href = URL.createObjectURL(blob);
+  a.download = name; a.click(); URL.revokeObjectURL(a.href);
+}
+function exportProgress(format) {
+  const client = activeClient();
+  if (!client) return;
+  const summary = clientSummary(client.id);
+  const base = `progress_${client.name.replace(/[^a-z0-9]+/gi, '_')}`;
+  if (format === 'json') {
+    const sessions = readStore('sceneSessions', []).filter(s => s.clientId === client.id);
+    downloadFile(`${base}.json`, JSON.stringify({ client, sessions, ...summary }, null, 2), 'application/json');
+    return;
+  }
+  const rows = [['timestamp','session','scene','word','kind','phonemes','position','syllables','score']];
+  for (const trial of summary.trials) rows.push([trial.ts, trial.sessionId, trial.sceneId, trial.word, trial.kind, trial.phonemes.join(' '), trial.position, trial.syllables, trial.score]);
+  downloadFile(`${base}.csv`, toCSV(rows), 'text/csv');
+}
+
+clientSelectEl.addEventListener('change', () => selectClient(clientSelectEl.value));
+document.getElementById('addClient').addEventListener('click', addClient);
+document.getElementById('newSession').addEventListener('click', () => {
+  if (!activeClient()) { showError(t('error.pickClient')); return; }
+  startSession();
+  if (sceneDoc) { sceneDoc.id = null; attachSceneToSession(sceneDoc); }
+});
+document.getElementById('exportProgressCsv').addEventListener('click', () => exportProgress('csv'));
+document.getElementById('exportProgressJson').addEventListener('click', () => exportProgress('json'));
+
 // ---- Assets audit ----
+// Fetches every word, background and character image (a few at a time), then checks the files themselves.
+// Issues are ranked error → warning → info and shown in-page by folder; missing sprites can be
+// filled with Sprite Maker placeholders (spritekit.js), zipped at their exact paths.
+const auditEl = document.getElementById('auditReport');
+let lastAudit = null; // { checked, issues: [{ severity, check, kind, word, image, folder, detail }] }
+
+const AUDIT_CONCURRENCY = 6;
+const AUDIT_MIN_SPRITE = 512;   // px on the longer side; pages draw sprites up to ~500–770px at 300dpi
+const AUDIT_MAX_ASPECT = 3;     // sprites wider or taller than 3:1 shrink to slivers in square boxes
+const AUDIT_MIN_BG_VISIBLE = 0.5; // backgrounds are cropped to A4; flag those losing over half their width or height
+const SEVERITY_RANK = { error: 0, warning: 1, info: 2 };
+const AUDIT_CHECKS = {
+  manifest:     { severity: 'error',   label: 'audit.manifest' },
+  missing:      { severity: 'error',   label: 'audit.missing' },
+  case:         { severity: 'error',   label: 'audit.case' },
+  unreadable:   { severity: 'error',   label: 'audit.unreadable' },
+  resolution:   { severity: 'warning', label: 'audit.resolution' },
+  transparency: { severity: 'warning', label: 'audit.transparency' },
+  aspect:       { severity: 'warning', label: 'audit.aspect' },
+  unreferenced: { severity: 'info',    label: 'audit.unreferenced' },
+  listing:      { severity: 'info',    label: 'audit.listing' }
+};
+
+// Runs fn over items with at most `limit` in flight; results keep the input order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+const folderOf = path => path.split('/').slice(0, -1).join('/') || '.';
+const fileOf = path => path.split('/').pop();
+
+// File names in a folder from the server's directory listing (python -m http.server has one); null if none
+async function listFolder(folder) {
+  try {
+    const res = await fetch(`${folder}/`, { cache: 'no-store' });
+    if (!res.ok || !/html/.test(res.headers.get('content-type') || '')) return null;
+    const page = new DOMParser().parseFromString(await res.text(), 'text/html');
+    return [...page.querySelectorAll('a[href]')]
+      .map(a => decodeURIComponent(a.getAttribute('href')))
+      .filter(href => !/^[?#]|^\.\.?\/?$|:\/\//.test(href) && !href.startsWith('/'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// { width, height, alpha } from the pixels; alpha is true if any sampled pixel is see-through
+async function inspectImage(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = bitmap;
+  let alpha = false;
+  if (blob.type !== 'image/jpeg') {
+    const probe = document.createElement('canvas');
+    probe.width = probe.height = 64;
+    const pctx = probe.getContext('2d');
+    pctx.drawImage(bitmap, 0, 0, 64, 64);
+    const data = pctx.getImageData(0, 0, 64, 64).data;
+    for (let i = 3; i < data.length && !alpha; i += 4) alpha = data[i] < 255;
+  }
+  bitmap.close?.();
+  return { width, height, alpha };
+}
+
 async function auditAssets() {
   if (!WORDS) await loadWords();
-  const missing = [];
-  async function check(path, kind, word) {
-    if (!path) { missing.push({ kind, word, reason: 'no image field' }); return; }
+  const issues = [];
+  const flag = (check, asset, detail = '') => issues.push({
+    severity: AUDIT_CHECKS[check].severity, check, kind: asset.kind, word: asset.word,
+    image: asset.image || null, folder: asset.image ? folderOf(asset.image) : t('audit.noImageFolder'), detail
+  });
+
+  const assets = [];
+  for (const [list, kind] of [[WORDS.nouns, 'noun'], [WORDS.verbs, 'verb'], [WORDS.adjectives, 'adjective']]) {
+    for (const e of (list || [])) assets.push({ kind, word: e.word, image: e.image });
+  }
+  const manifest = await fetchBackgroundManifest();
+  if (manifest) manifest.forEach(image => assets.push({ kind: 'background', word: fileOf(image), image }));
+  else flag('manifest', { kind: 'background', word: fileOf(BG_MANIFEST), image: BG_MANIFEST }, t('audit.detail.noBackgrounds'));
+  (await loadCharacterList()).forEach(c => assets.push({ kind: 'character', word: c.word, image: c.image }));
+
+  // Folder listings: everything referenced, plus every folder under sprites/. A server that
+  // doesn't list sprites/ lists nothing, so those checks are skipped; otherwise no listing = no folder.
+  const listings = new Map();
+  const spriteDirs = await listFolder('sprites');
+  if (spriteDirs) {
+    const folders = new Set(assets.filter(a => a.image).map(a => folderOf(a.image)));
+    spriteDirs.filter(name => name.endsWith('/')).forEach(name => folders.add(`sprites/${name.replace(/\/$/, '')}`));
+    await mapLimit([...folders], AUDIT_CONCURRENCY, async folder => listings.set(folder, (await listFolder(folder)) || []));
+  } else {
+    flag('listing', { kind: 'folder', word: 'sprites/', image: 'sprites/' });
+  }
+
+  await mapLimit(assets, AUDIT_CONCURRENCY, async asset => {
+    if (!asset.image) { flag('missing', asset, t('audit.detail.noImage')); return; }
+    const listed = listings.get(folderOf(asset.image));
+    const name = fileOf(asset.image);
+    const actual = listed && !listed.includes(name) ? listed.find(f => f.toLowerCase() === name.toLowerCase()) : null;
+    if (actual) flag('case', asset, t('audit.detail.fileIs', { file: actual }));
+
+    let blob;
     try {
-      const res = await fetch(path, { cache: 'no-store' });
-      if (!res.ok) missing.push({ kind, word, reason: `HTTP ${res.status}` });
+      const res = await fetch(asset.image, { cache: 'no-store' });
+      if (!res.ok) { if (!actual) flag('missing', asset, `HTTP ${res.status}`); return; }
+      blob = await res.blob();
     } catch (e) {
-      missing.push({ kind, word, reason: e.message });
+      if (!actual) flag('missing', asset, e.message);
+      return;
     }
+
+    let info;
+    try { info = await inspectImage(blob); } catch (e) { flag('unreadable', asset, e.message); return; }
+    const { width, height, alpha } = info;
+    const size = `${width}×${height}`;
+    if (asset.kind === 'background') {
+      const stretch = Math.max(CANVAS_W / width, CANVAS_H / height);
+      if (stretch > 1) flag('resolution', asset, t('audit.detail.stretched', { size, stretch: stretch.toFixed(1), page: `${CANVAS_W}×${CANVAS_H}` }));
+      const ratio = width / height, page = CANVAS_W / CANVAS_H;
+      const visible = Math.min(ratio, page) / Math.max(ratio, page);
+      if (visible < AUDIT_MIN_BG_VISIBLE) flag('aspect', asset, t('audit.detail.cropped', { size, percent: Math.round(visible * 100) }));
+    } else {
+      if (Math.max(width, height) < AUDIT_MIN_SPRITE) flag('resolution', asset, t('audit.detail.small', { size, px: AUDIT_MIN_SPRITE }));
+      const ratio = Math.max(width / height, height / width);
+      if (ratio > AUDIT_MAX_ASPECT) flag('aspect', asset, `${size} (${ratio.toFixed(1)}:1)`);
+      if (!alpha) flag('transparency', asset, blob.type === 'image/jpeg' ? 'JPEG' : t('audit.detail.opaque'));
+    }
+  });
+
+  // Files on disk that nothing points at (case-insensitively, so case mismatches aren't counted twice)
+  const referenced = new Set(assets.filter(a => a.image).map(a => a.image.replace(/^\.?\//, '').toLowerCase()));
+  for (const [folder, files] of listings) {
+    files.filter(f => !f.endsWith('/') && !f.startsWith('.') && !referenced.has(`${folder}/${f}`.toLowerCase()))
+      .forEach(f => flag('unreferenced', { kind: 'file', word: f, image: `${folder}/${f}` }));
+  }
+
+  issues.sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity] || a.folder.localeCompare(b.folder));
+  lastAudit = { checked: assets.length, issues };
+  renderAuditReport(lastAudit);
+}
+
+function renderAuditReport(audit) {
+  const byFolder = new Map(); // folder → check → issues (issues arrive sorted by severity)
+  for (const issue of audit.issues) {
+    if (!byFolder.has(issue.folder)) byFolder.set(issue.folder, new Map());
+    const checks = byFolder.get(issue.folder);
+    if (!checks.has(issue.check)) checks.set(issue.check, []);
+    checks.get(issue.check).push(issue);
+  }
+  const worst = checks => Math.min(...[...checks.keys()].map(c => SEVERITY_RANK[AUDIT_CHECKS[c].severity]));
+  const tables = [...byFolder]
+    .sort(([fa, a], [fb, b]) => worst(a) - worst(b) || fa.localeCompare(fb))
+    .map(([folder, checks]) => {
+      const total = [...checks.values()].reduce((n, list) => n + list.length, 0);
+      const rows = [...checks].map(([check, list]) => {
+        const { severity, label } = AUDIT_CHECKS[check];
+        const words = list.map(i => `<span title="${escapeHtml(i.image || '')}">${escapeHtml(i.word)}</span>${i.detail ? ` <small class="hint">(${escapeHtml(i.detail)})</small>` : ''}`);
+        return `<tr class="${severity}"><td><strong>${escapeHtml(t(`severity.${severity}`))}</strong></td><td>${escapeHtml(t(label))}</td><td>${list.length}</td><td>${words.join(', ')}</td></tr>`;
+      });
+      return `<table class="progress-table audit-table"><caption>${escapeHtml(folder)} (${total})</caption>
+        <thead><tr><th>${t('audit.severity')}</th><th>${t('audit.issue')}</th><th>${t('audit.count')}</th><th>${t('audit.files')}</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+    });
+  const counts = Object.keys(SEVERITY_RANK).map(sev => t(`audit.count.${sev}`, { n: audit.issues.filter(i => i.severity === sev).length }));
+  const fixable = placeholderTargets(audit).length;
+  auditEl.querySelector('summary').textContent = t('audit.summary', { n: audit.checked, counts: counts.join(', ') });
+  auditEl.querySelector('.audit-body').innerHTML = tables.length ? tables.join('') : `<p class="hint">${t('audit.clean')}</p>`;
+  const zipBtn = document.getElementById('auditPlaceholders');
+  zipBtn.disabled = !fixable;
+  zipBtn.textContent = t('audit.placeholders', { n: fixable });
+  auditEl.classList.remove('hidden');
+  auditEl.open = true;
+}
+
+// Missing word sprites with a known path: the only ones a placeholder can stand in for
+function placeholderTargets(audit) {
+  return audit.issues.filter(i => i.check === 'missing' && i.image && SpriteKit.SPRITE_COLORS[i.kind]);
+}
+
+// One block per missing image path (words sharing a path share the first word's block)
+async function downloadPlaceholderSprites() {
+  if (!lastAudit) return;
+  const btn = document.getElementById('auditPlaceholders');
+  const { size, fontPx, outline } = SpriteKit.SPRITE_DEFAULTS;
+  const files = new Map();
+  btn.disabled = true;
+  try {
+    for (const m of placeholderTargets(lastAudit)) {
+      const name = m.image && m.image.replace(/^\.?\//, '');
+      if (!name || files.has(name)) continue;
+      const blob = await SpriteKit.makeBlockBlob(m.word, size, fontPx, outline, SpriteKit.SPRITE_COLORS[m.kind], SpriteKit.spriteMimeType(name));
+      files.set(name, new Uint8Array(await blob.arrayBuffer()));
+    }
+    const zip = SpriteKit.buildZip([...files].map(([name, data]) => ({ name, data })));
+    downloadFile('placeholder_sprites.zip', zip, 'application/zip');
+  } catch (e) {
+    showError(t('error.placeholders', { message: e.message }));
+  } finally {
+    btn.disabled = false;
   }
-  for (const n of (WORDS.nouns || [])) await check(n.image, 'noun', n.word);
-  for (const v of (WORDS.verbs || [])) await check(v.image, 'verb', v.word);
-  const blob = new Blob([JSON.stringify({ missing }, null, 2)], { type: 'application/json' });
-  const a = document.createElement('a'); a.href = URL.createObjectURL(blob);
-  a.download = 'assets_audit.json'; a.click(); URL.revokeObjectURL(a.href);
-}
-
-// ---- Verb→Object suggestion map ----
-const VERB_OBJECT_SUGGESTIONS = {
-  "sip": ["cup", "mug", "juice"],
-  "slice": ["sandwich", "bread", "cake"],
-  "stir": ["soup", "bowl", "spoon"],
-  "sit": ["chair", "bench"],
-  "skate": ["skateboard"],
-  "sing": ["microphone"],
-  "see": ["glasses", "binoculars"],
-  "smile": ["mirror"]
-};
-function findNounByWord(word) {
-  if (!word || !WORDS?.nouns) return null;
-  const target = word.toLowerCase();
-  return WORDS.nouns.find(n => n.word.toLowerCase() === target) || null;
+}
+
+function downloadAuditJson() {
+  if (lastAudit) downloadFile('assets_audit.json', JSON.stringify(lastAudit, null, 2), 'application/json');
 }
 
 // ---- Character placeholder ----
@@ -452,196 +1152,628 @@ function drawCharacterPlaceholder(x, y, w, h, label="person") {
   drawLabelInRect(x, y, w, h, label);
 }
 
-// ---- Layout helpers for sentence vignettes ----
-function sentenceBlockMetrics(nSentences) {
-  if (nSentences <= 2) return { W: 520, H: 520, gapVerbObj: 28, gapCharVerb: 80 };
-  if (nSentences <= 4) return { W: 420, H: 420, gapVerbObj: 24, gapCharVerb: 72 };
-  return { W: 320, H: 320, gapVerbObj: 20, gapCharVerb: 64 }; // 5–6 sentences
+// ---- Scene document ----
+// SceneCore generators build a document and the canvas is always painted from it, so pages stay editable.
+// { version, type, seed, theme, background, outline, notes[], shapes[], items: [{ id, word, kind, rect, image, label, group?, role? }] }
+const { docWords, docGroups, entryTags } = SceneCore;
+let sceneDoc = null;
+
+function paintShape(shape) {
+  ctx.save();
+  ctx.strokeStyle = shape.stroke || '#222';
+  ctx.fillStyle = shape.fill || '#111';
+  ctx.lineWidth = shape.lineWidth || 2;
+  if (shape.type === 'rect') {
+    if (shape.fill) ctx.fillRect(shape.x, shape.y, shape.w, shape.h);
+    ctx.strokeRect(shape.x, shape.y, shape.w, shape.h);
+  } else if (shape.type === 'line') {
+    ctx.setLineDash(shape.dash || []);
+    ctx.beginPath();
+    ctx.moveTo(shape.x1, shape.y1);
+    ctx.lineTo(shape.x2, shape.y2);
+    ctx.stroke();
+  } else if (shape.type === 'text') {
+    ctx.font = `bold ${shape.size || 64}px system-ui, sans-serif`;
+    ctx.textAlign = shape.align || 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(shape.text, shape.x, shape.y);
+  }
+  ctx.restore();
 }
-function groupSize(metrics) {
-  const { W, gapVerbObj, gapCharVerb } = metrics;
-  return { Gw: W + gapCharVerb + W + gapVerbObj + W, Gh: metrics.H };
+
+let renderToken = 0;
+async function renderDocument(doc) {
+  const token = ++renderToken;
+  const [bg, ...imgs] = await Promise.all([loadImage(doc.background), ...doc.items.map(i => loadImage(i.image))]);
+  if (token !== renderToken) return; // a newer render superseded this one
+  paintBackground(bg);
+  (doc.shapes || []).forEach(paintShape);
+  doc.items.forEach((item, i) => paintItem(item, imgs[i], doc.outline));
+  paintCaptions(doc);
 }
 
-// ---- Sentence scene (multi) ----
-async function generateSentenceScene() {
-  if (!WORDS) await loadWords();
-  await drawBackground();
+// SceneCore lines with their targets bold. Pages can come from opened files, so every part is escaped:
+// markTarget only brackets the targets, and the brackets become <strong> once the whole line is escaped.
+const markTarget = (item, text) => `\u0001${text}\u0002`;
+function boldTargets(line) {
+  return escapeHtml(line).replace(/\u0001/g, '<strong>').replace(/\u0002/g, '</strong>');
+}
 
-  const phonSel = phonemeChecks();
-  const posSel  = positionChecks();
-  const sylSel  = syllableChecks();
+function renderTargets(doc) {
+  const notes = doc.notes.map(n => `<p class="hint">${escapeHtml(n)}</p>`).join('');
+  const strong = item => `<strong>${escapeHtml(item.word)}</strong>`;
 
-  if (!phonSel.length || !posSel.length) {
-    const msg = !phonSel.length ? 'Select at least one phoneme.' : 'Select at least one position.';
-    showError(msg);
-    targetsEl.innerHTML = `<p class="error">${msg}</p>`;
+  if (doc.type === 'sentence') {
+    const lines = docGroups(doc).filter(g => g.verb || g.object).map(g => `<li>${boldTargets(SceneCore.sentenceText(g, markTarget, doc.grammar, { language: doc.language }))}</li>`);
+    targetsEl.innerHTML = lines.length
+      ? `<h3>${t('targets.sentences', { n: lines.length })}</h3><ul>${lines.join("")}</ul>${notes}`
+      : `<p class="error">${t('targets.noSentences')}</p>`;
     return;
   }
 
-  const nSentences = Math.max(1, Math.min(6, parseInt(countEl.value, 10) || 1));
-  const metrics = sentenceBlockMetrics(nSentences);
-  const { W, H, gapVerbObj, gapCharVerb } = metrics;
-  const { Gw, Gh } = groupSize(metrics);
+  if (doc.type === 'story') {
+    const groups = SceneCore.groupMap(doc);
+    const lines = [...groups.keys()].sort((a, b) => a - b)
+      .map(step => `<li>${boldTargets(SceneCore.storyLine(doc, step, groups.get(step), { opener: true, wrap: markTarget }))}</li>`);
+    targetsEl.innerHTML = lines.length
+      ? `<h3>${t('targets.story', { n: lines.length })}</h3><ol>${lines.join("")}</ol>${notes}`
+      : `<p class="error">${t('targets.noPanels')}</p>`;
+    return;
+  }
 
-  const sentences = [];
-  for (let s = 0; s < nSentences; s++) {
-    const verbPool = pool('actions', phonSel, posSel, sylSel);
-    if (!verbPool.length) {
-      const msg = `No VERBS match your filters (${filterSummary()}). Try changing phonemes/syllables.`;
-      showError(msg);
-      targetsEl.innerHTML = `<p class="error">${msg}</p>`;
-      break;
-    }
-    const verb = sample(verbPool, 1)[0];
+  if (doc.type === 'descriptive') {
+    const lines = docGroups(doc).filter(g => g.adjective || g.object)
+      .map(g => `<li>${boldTargets(SceneCore.phraseText(g, markTarget, doc.language))}</li>`);
+    targetsEl.innerHTML = lines.length
+      ? `<h3>${t('targets.phrases', { n: lines.length })}</h3><ul>${lines.join("")}</ul>${notes}`
+      : `<p class="error">${t('targets.noPhrases')}</p>`;
+    return;
+  }
 
-    let object = null;
-    const suggestions = VERB_OBJECT_SUGGESTIONS[verb.word?.toLowerCase()] || [];
-    for (const suggested of suggestions) {
-      const candidate = findNounByWord(suggested);
-      if (candidate && matchesSyllables(candidate, sylSel) && posSel.includes(candidate.position)) { object = candidate; break; }
-    }
-    if (!object) {
-      const nounPool = pool('i-spy', phonSel, posSel, sylSel);
-      if (!nounPool.length) {
-        const msg = `No NOUNS match your filters (${filterSummary()}). Try changing phonemes/syllables.`;
-        showError(msg);
-        targetsEl.innerHTML = `<p class="error">${msg}</p>`;
-        break;
-      }
-      object = sample(nounPool, 1)[0];
-    }
+  if (doc.type === 'bingo' || doc.type === 'bingo-caller') {
+    const cards = new Set(doc.items.map(i => i.group)).size;
+    const deck = (doc.deck || []).length;
+    const heading = doc.type === 'bingo' ? t('targets.bingo', { cards, deck }) : t('targets.caller', { n: deck });
+    targetsEl.innerHTML = `<h3>${heading}</h3><ul>${(doc.deck || []).map(w => `<li>${escapeHtml(w)}</li>`).join("")}</ul>${notes}`;
+    return;
+  }
+
+  if (doc.type === 'minimal-pairs') {
+    const { target, contrast } = doc.contrast || {};
+    const lines = docGroups(doc).map(g => `<li>${[g.target, g.contrast].filter(Boolean).map(strong).join(' – ')}</li>`);
+    targetsEl.innerHTML = `<h3>${escapeHtml(t('targets.pairs', { target, contrast, n: lines.length }))}</h3><ul>${lines.join("")}</ul>${notes}`;
+    return;
+  }
 
-    sentences.push({ verb, object });
+  if (doc.type === 'memory') {
+    const pairs = docWords(doc);
+    targetsEl.innerHTML = `<h3>${t('targets.memory', { n: pairs.length })}</h3><ul>${pairs.map(i => `<li>${escapeHtml(i.word)}</li>`).join("")}</ul>${notes}`;
+    return;
   }
-  if (!sentences.length) return;
 
-  const placedGroups = [];
-  const margin = 80;
-  for (const { verb, object } of sentences) {
-    const spot = findSpot(Gw, Gh, placedGroups, margin, 500);
-    if (!spot) continue;
-    placedGroups.push(spot);
+  const words = docWords(doc);
+  targetsEl.innerHTML = words.length
+    ? `<h3>${t('targets.picture')}</h3><ul>${words.map(i => `<li>${escapeHtml(i.word)} (${escapeHtml(t(`kind.${i.kind}`))})</li>`).join("")}</ul>${notes}`
+    : `<p class="error">${t('targets.none')}</p>`;
+}
+
+async function showSceneDocument(doc) {
+  if (play) exitPlay(false);
+  sceneDoc = doc;
+  themeCategory = doc.theme || null; // word swaps stay within the page's theme
+  selectedId = null;
+  undoStack = [];
+  redoStack = [];
+  await renderDocument(doc);
+  renderTargets(doc);
+  renderScoring(doc);
+  updateEditBar();
+  return doc;
+}
+
+function clearScene() {
+  sceneDoc = null;
+  renderScoring(null);
+  selectedId = null;
+  renderToken++;
+  paintBackground(null);
+  updateEditBar();
+}
+
+// ---- Scene editing: select, drag, resize, swap, delete, undo/redo ----
+const selectionBoxEl = document.getElementById('selectionBox');
+const swapWordEl     = document.getElementById('swapWord');
+const itemLabelEl    = document.getElementById('itemLabel');
+const deleteItemEl   = document.getElementById('deleteItem');
+const undoEl         = document.getElementById('undo');
+const redoEl         = document.getElementById('redo');
+
+const HANDLE_SIZE = 64;   // canvas px around the bottom-right corner that start a resize
+const MIN_ITEM_SIZE = 80;
+const KIND_POOL_TYPE = { noun: 'i-spy', verb: 'actions', adjective: 'adjectives' };
+
+let selectedId = null;
+let undoStack = [];
+let redoStack = [];
+let drag = null; // { mode: 'move'|'resize', start, orig, recorded }
+
+function selectedItem() {
+  return sceneDoc && selectedId != null ? sceneDoc.items.find(i => i.id === selectedId) || null : null;
+}
 
-    const xChar = spot.x;
-    const y = spot.y;
-    const xVerb = xChar + W + gapCharVerb;
-    const xObj  = xVerb + W + gapVerbObj;
+function recordEdit() {
+  undoStack.push(JSON.stringify(sceneDoc));
+  if (undoStack.length > 100) undoStack.shift();
+  redoStack = [];
+}
+async function applyEdit() {
+  await renderDocument(sceneDoc);
+  renderTargets(sceneDoc);
+  renderScoring(sceneDoc);
+  updateEditBar();
+}
+function undo() {
+  if (!undoStack.length) return;
+  redoStack.push(JSON.stringify(sceneDoc));
+  sceneDoc = JSON.parse(undoStack.pop());
+  applyEdit();
+}
+function redo() {
+  if (!redoStack.length) return;
+  undoStack.push(JSON.stringify(sceneDoc));
+  sceneDoc = JSON.parse(redoStack.pop());
+  applyEdit();
+}
 
-    drawCharacterPlaceholder(xChar, y, W, H, "person");
+function deleteSelected() {
+  const item = selectedItem();
+  if (!item) return;
+  recordEdit();
+  sceneDoc.items = sceneDoc.items.filter(i => i !== item);
+  selectedId = null;
+  applyEdit();
+}
 
-    const verbRect = { x: xVerb, y, w: W, h: H };
-    const verbImg = await loadImage(verb.image);
-    if (verbImg) drawImageFit(verbImg, verbRect.x, verbRect.y, verbRect.w, verbRect.h, 16);
-    else drawBlock(verbRect.x, verbRect.y, verbRect.w, verbRect.h, outlineEl.checked);
-    if (showLabelsEl.checked) drawLabelInRect(verbRect.x, verbRect.y, verbRect.w, verbRect.h, verb.word);
+// Alternatives come from the same filtered pool, minus words already on the page
+function swapCandidates(item) {
+  const type = KIND_POOL_TYPE[item.kind];
+  if (!type || !WORDS) return [];
+  const onPage = new Set(sceneDoc.items.map(i => i.word));
+  return currentPool(type).filter(w => !onPage.has(w.word));
+}
+function swapSelected(word) {
+  const item = selectedItem();
+  const entry = item && swapCandidates(item).find(w => w.word === word);
+  if (!entry) return;
+  recordEdit();
+  item.word = entry.word;
+  item.image = entry.image || null;
+  Object.assign(item, entryTags(entry));
+  if (item.number) {
+    delete item.gender;
+    Object.assign(item, SceneCore.nounAgreement(entry));
+  }
+  applyEdit();
+}
 
-    const objRect = { x: xObj, y, w: W, h: H };
-    const objImg = await loadImage(object.image);
-    if (objImg) drawImageFit(objImg, objRect.x, objRect.y, objRect.w, objRect.h, 16);
-    else drawBlock(objRect.x, objRect.y, objRect.w, objRect.h, outlineEl.checked);
-    if (showLabelsEl.checked) drawLabelInRect(objRect.x, objRect.y, objRect.w, objRect.h, object.word);
+function updateSelectionBox() {
+  const item = selectedItem();
+  if (!item) { selectionBoxEl.classList.add('hidden'); return; }
+  const scale = canvas.clientWidth / CANVAS_W;
+  Object.assign(selectionBoxEl.style, {
+    left: `${canvas.offsetLeft + item.rect.x * scale}px`,
+    top: `${canvas.offsetTop + item.rect.y * scale}px`,
+    width: `${item.rect.w * scale}px`,
+    height: `${item.rect.h * scale}px`
+  });
+  selectionBoxEl.classList.remove('hidden');
+}
 
-    logUsage({ mode: `sentence-${nSentences}`, verb: verb.word, noun: object.word });
+function updateEditBar() {
+  const item = selectedItem();
+  if (!item) selectedId = null;
+  undoEl.disabled = !undoStack.length;
+  redoEl.disabled = !redoStack.length;
+  deleteItemEl.disabled = !item;
+  itemLabelEl.disabled = !item || item.kind === 'character';
+  itemLabelEl.checked = !!item?.label;
+
+  const candidates = item ? swapCandidates(item) : [];
+  swapWordEl.innerHTML = '';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = item ? (candidates.length ? `(${item.word})` : t('ui.noAlternatives')) : t('ui.selectItem');
+  swapWordEl.appendChild(placeholder);
+  for (const w of candidates) {
+    const opt = document.createElement('option');
+    opt.value = w.word;
+    opt.textContent = w.word;
+    swapWordEl.appendChild(opt);
   }
+  swapWordEl.disabled = !candidates.length;
+  updateSelectionBox();
+}
 
-  const lines = placedGroups.length
-    ? sentences.slice(0, placedGroups.length).map(({verb,object}) => `<li>The person <strong>${verb.word}</strong> the <strong>${object.word}</strong>.</li>`)
-    : [];
-  targetsEl.innerHTML = placedGroups.length
-    ? `<h3>Sentences on this page (${placedGroups.length}):</h3><ul>${lines.join("")}</ul>`
-    : `<p class="error">Couldn’t fit any sentences. Try reducing the number or widen margins/sizes.</p>`;
+function canvasPoint(e) {
+  const r = canvas.getBoundingClientRect();
+  return { x: (e.clientX - r.left) * CANVAS_W / r.width, y: (e.clientY - r.top) * CANVAS_H / r.height };
+}
+function itemAt(pt) {
+  if (!sceneDoc) return null;
+  for (let i = sceneDoc.items.length - 1; i >= 0; i--) { // topmost first
+    const { x, y, w, h } = sceneDoc.items[i].rect;
+    if (pt.x >= x && pt.x <= x + w && pt.y >= y && pt.y <= y + h) return sceneDoc.items[i];
+  }
+  return null;
+}
+function onResizeHandle(item, pt) {
+  const { x, y, w, h } = item.rect;
+  return Math.abs(pt.x - (x + w)) <= HANDLE_SIZE / 2 && Math.abs(pt.y - (y + h)) <= HANDLE_SIZE / 2;
 }
 
-// ---- Other modes (I-spy / Actions / Mixed) ----
-async function generateIspyOrActionsOrMixed() {
-  await drawBackground();
+let renderQueued = false;
+function scheduleRender() {
+  if (renderQueued) return;
+  renderQueued = true;
+  requestAnimationFrame(() => { renderQueued = false; renderDocument(sceneDoc); });
+}
 
-  const phonSel = phonemeChecks();
-  const posSel  = positionChecks();
-  const sylSel  = syllableChecks();
-  const type = sceneTypeEl.value;
-  const n = Math.max(1, Math.min(24, parseInt(countEl.value, 10) || 12));
-  const showLabels = showLabelsEl.checked;
-  const outline = outlineEl.checked;
+canvas.addEventListener('pointerdown', e => {
+  if (!sceneDoc) return;
+  if (play) { playClick(e); return; }
+  const pt = canvasPoint(e);
+  const current = selectedItem();
+  const item = (current && onResizeHandle(current, pt)) ? current : itemAt(pt);
+  selectedId = item ? item.id : null;
+  updateEditBar();
+  if (!item) return;
+  drag = { mode: item === current && onResizeHandle(item, pt) ? 'resize' : 'move', start: pt, orig: { ...item.rect }, recorded: false };
+  canvas.setPointerCapture(e.pointerId);
+});
 
-  if (!phonSel.length || !posSel.length) {
-    const msg = !phonSel.length ? 'Select at least one phoneme.' : 'Select at least one position.';
-    showError(msg);
-    targetsEl.innerHTML = `<p class="error">${msg}</p>`;
+canvas.addEventListener('pointermove', e => {
+  if (play) return;
+  const pt = canvasPoint(e);
+  const item = selectedItem();
+  if (!drag || !item) {
+    const hover = item && onResizeHandle(item, pt) ? 'nwse-resize' : (itemAt(pt) ? 'move' : 'default');
+    canvas.style.cursor = hover;
     return;
   }
+  const dx = Math.round(pt.x - drag.start.x);
+  const dy = Math.round(pt.y - drag.start.y);
+  if (!dx && !dy) return;
+  if (!drag.recorded) { recordEdit(); drag.recorded = true; } // rect is still the original here
+  const { orig } = drag;
+  if (drag.mode === 'move') {
+    item.rect.x = Math.max(0, Math.min(CANVAS_W - orig.w, orig.x + dx));
+    item.rect.y = Math.max(0, Math.min(CANVAS_H - orig.h, orig.y + dy));
+  } else {
+    item.rect.w = Math.max(MIN_ITEM_SIZE, Math.min(CANVAS_W - orig.x, orig.w + dx));
+    item.rect.h = Math.max(MIN_ITEM_SIZE, Math.min(CANVAS_H - orig.y, orig.h + dy));
+  }
+  updateSelectionBox();
+  scheduleRender();
+});
 
-  // Pre-check pools for zero results caused by filters
-  if (type === 'i-spy') {
-    const nounsPool = pool('i-spy', phonSel, posSel, sylSel);
-    if (!nounsPool.length) {
-      const msg = `No NOUNS match your filters (${filterSummary()}). Try changing phonemes/syllables.`;
-      showError(msg);
-      targetsEl.innerHTML = `<p class="error">${msg}</p>`;
-      return;
+function endDrag() {
+  if (!drag) return;
+  drag = null;
+  updateEditBar();
+}
+canvas.addEventListener('pointerup', endDrag);
+canvas.addEventListener('pointercancel', endDrag);
+
+document.addEventListener('keydown', e => {
+  if (play || (e.target.closest && e.target.closest('input, select, textarea'))) return;
+  const mod = e.ctrlKey || e.metaKey;
+  if (mod && e.key.toLowerCase() === 'z') { e.preventDefault(); e.shiftKey ? redo() : undo(); return; }
+  if (mod && e.key.toLowerCase() === 'y') { e.preventDefault(); redo(); return; }
+
+  const item = selectedItem();
+  if (!item) return;
+  if (e.key === 'Delete' || e.key === 'Backspace') { e.preventDefault(); deleteSelected(); return; }
+  const step = e.shiftKey ? 50 : 10;
+  const nudge = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] }[e.key];
+  if (nudge) {
+    e.preventDefault();
+    recordEdit();
+    item.rect.x = Math.max(0, Math.min(CANVAS_W - item.rect.w, item.rect.x + nudge[0]));
+    item.rect.y = Math.max(0, Math.min(CANVAS_H - item.rect.h, item.rect.y + nudge[1]));
+    applyEdit();
+  }
+});
+
+window.addEventListener('resize', updateSelectionBox);
+undoEl.addEventListener('click', undo);
+redoEl.addEventListener('click', redo);
+deleteItemEl.addEventListener('click', deleteSelected);
+swapWordEl.addEventListener('change', () => swapSelected(swapWordEl.value));
+itemLabelEl.addEventListener('change', () => {
+  const item = selectedItem();
+  if (!item) return;
+  recordEdit();
+  item.label = itemLabelEl.checked;
+  applyEdit();
+});
+
+// ---- Play mode: full-screen I-spy with hit-testing ----
+// Uses the item rects of the current document; clicks and keys mark targets found
+const stageEl     = document.querySelector('.canvas-stage');
+const playPanelEl = document.getElementById('playPanel');
+
+let play = null; // { targets: [item], found: Set<id>, focus: index, finished }
+
+// Reading order (rows top to bottom, then left to right) so arrow keys move predictably
+function playTargets(doc) {
+  const row = item => Math.floor((item.rect.y + item.rect.h / 2) / (CANVAS_H / 10));
+  return doc.items.filter(i => i.kind !== 'character')
+    .sort((a, b) => (row(a) - row(b)) || (a.rect.x - b.rect.x));
+}
+
+function startPlay() {
+  const targets = sceneDoc ? playTargets(sceneDoc) : [];
+  if (!targets.length) { showError(t('error.playNeedsTargets')); return; }
+  selectedId = null;
+  updateEditBar();
+  play = { targets, found: new Set(), focus: 0, finished: false };
+  stageEl.classList.add('playing');
+  playPanelEl.classList.remove('hidden');
+  // Fullscreen can be refused (iframes, older Safari); the in-page layout still works
+  if (stageEl.requestFullscreen) stageEl.requestFullscreen().catch(() => {});
+  canvas.focus();
+  renderPlay();
+}
+
+function exitPlay(redraw = true) {
+  play = null;
+  stageEl.classList.remove('playing');
+  playPanelEl.classList.add('hidden');
+  if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+  if (redraw && sceneDoc) renderDocument(sceneDoc);
+}
+
+function markFound(item) {
+  if (!play || play.finished || play.found.has(item.id)) return;
+  play.found.add(item.id);
+  play.focus = play.targets.indexOf(item);
+  if (play.found.size === play.targets.length) finishPlay();
+  else renderPlay();
+}
+
+function finishPlay() {
+  if (!play || play.finished) return;
+  play.finished = true;
+  logUsage({ mode: `play-${sceneDoc.type}`, found: play.found.size, total: play.targets.length });
+  renderPlay();
+}
+
+async function renderPlay() {
+  await renderDocument(sceneDoc);
+  if (!play) return;
+  paintPlayMarks();
+  renderPlayPanel();
+}
+
+// Found: green frame; missed (after finishing): red frame; keyboard focus: dashed ring
+function paintPlayMarks() {
+  ctx.save();
+  play.targets.forEach((item, i) => {
+    const { x, y, w, h } = item.rect;
+    const found = play.found.has(item.id);
+    if (found) {
+      ctx.fillStyle = 'rgba(31, 157, 85, 0.15)';
+      ctx.fillRect(x, y, w, h);
     }
-  } else if (type === 'actions') {
-    const verbsPool = pool('actions', phonSel, posSel, sylSel);
-    if (!verbsPool.length) {
-      const msg = `No VERBS match your filters (${filterSummary()}). Try changing phonemes/syllables.`;
-      showError(msg);
-      targetsEl.innerHTML = `<p class="error">${msg}</p>`;
-      return;
+    if (found || play.finished) {
+      ctx.setLineDash([]);
+      ctx.lineWidth = 18;
+      ctx.strokeStyle = found ? '#1f9d55' : '#d64545';
+      ctx.strokeRect(x - 12, y - 12, w + 24, h + 24);
     }
-  } else if (type === 'mixed') {
-    const nounsPool = pool('i-spy', phonSel, posSel, sylSel);
-    const verbsPool = pool('actions', phonSel, posSel, sylSel);
-    if (!nounsPool.length && !verbsPool.length) {
-      const msg = `No NOUNS or VERBS match your filters (${filterSummary()}). Try changing phonemes/syllables.`;
-      showError(msg);
-      targetsEl.innerHTML = `<p class="error">${msg}</p>`;
-      return;
+    if (i === play.focus && !play.finished) {
+      ctx.setLineDash([36, 24]);
+      ctx.lineWidth = 10;
+      ctx.strokeStyle = '#2a6fdb';
+      ctx.strokeRect(x - 36, y - 36, w + 72, h + 72);
     }
+  });
+  ctx.restore();
+}
+
+function renderPlayPanel() {
+  const score = t('play.score', { found: play.found.size, total: play.targets.length });
+  if (play.finished) {
+    const missed = play.targets.filter(i => !play.found.has(i.id)).map(i => `<strong>${escapeHtml(i.word)}</strong>`);
+    playPanelEl.innerHTML = `<h3>${t('play.result', { score })}</h3>` +
+      (missed.length ? `<p>${t('play.missed', { words: missed.join(', ') })}</p>` : `<p>${t('play.allFound')}</p>`) +
+      `<button data-play="again">${t('play.again')}</button> <button data-play="exit">${t('play.close')}</button>`;
+    return;
   }
+  const list = play.targets.map((item, i) => {
+    const cls = [play.found.has(item.id) ? 'found' : '', i === play.focus ? 'focus' : ''].filter(Boolean).join(' ');
+    return `<li class="${cls}">${escapeHtml(item.word)}${play.found.has(item.id) ? ' ✓' : ''}</li>`;
+  });
+  playPanelEl.innerHTML = `<h3 aria-live="polite">${score}</h3><ol class="play-list">${list.join('')}</ol>` +
+    `<p class="hint">${t('play.hint')}</p>` +
+    `<button data-play="finish">${t('play.finish')}</button> <button data-play="exit">${t('play.close')}</button>`;
+}
 
-  let selection = [];
-  if (type === 'mixed') {
-    const nouns = sample(pool('i-spy', phonSel, posSel, sylSel), Math.ceil(n * 0.6)).map(x => ({...x, kind:'noun'}));
-    const verbs = sample(pool('actions', phonSel, posSel, sylSel), Math.floor(n * 0.4)).map(x => ({...x, kind:'verb'}));
-    selection = [...nouns, ...verbs];
-  } else {
-    selection = sample(pool(type, phonSel, posSel, sylSel), n)
-      .map(x => ({...x, kind: type === 'actions' ? 'verb' : 'noun'}));
+function playClick(e) {
+  const item = itemAt(canvasPoint(e));
+  if (item && play.targets.includes(item)) markFound(item);
+}
+
+document.addEventListener('keydown', e => {
+  if (!play) return;
+  if (e.key === 'Escape') { e.preventDefault(); play.finished ? exitPlay() : finishPlay(); return; }
+  if (play.finished || (e.target.closest && e.target.closest('button, input, select, textarea'))) return;
+  const n = play.targets.length;
+  const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[e.key];
+  if (step) {
+    e.preventDefault();
+    play.focus = (play.focus + step + n) % n;
+    renderPlay();
+  } else if (e.key === 'Enter' || e.key === ' ') {
+    e.preventDefault();
+    markFound(play.targets[play.focus]);
   }
+});
 
-  const placed = [];
-  const tasks = [];
-  const drawnTargets = [];
+playPanelEl.addEventListener('click', e => {
+  const action = e.target.dataset && e.target.dataset.play;
+  if (action === 'finish') finishPlay();
+  else if (action === 'exit') exitPlay();
+  else if (action === 'again') { exitPlay(false); startPlay(); }
+});
 
-  for (const item of selection) {
-    const isVerb = item.kind === 'verb';
-    const W = isVerb ? randBetween(280, 420) : randBetween(360, 560);
-    const H = isVerb ? randBetween(180, 260) : randBetween(220, 320);
-    const spot = findSpot(W, H, placed, 60, 200);
-    if (!spot) continue;
+// Leaving fullscreen with the browser's own Esc ends the round but keeps the results on screen
+document.addEventListener('fullscreenchange', () => {
+  if (!document.fullscreenElement && play && !play.finished) finishPlay();
+});
+document.getElementById('playMode').addEventListener('click', startPlay);
 
-    placed.push({ x: spot.x, y: spot.y, w: W, h: H });
-    drawnTargets.push(`${item.word} (${isVerb ? 'verb' : 'noun'})`);
+// ---- Save / open a scene document (JSON) ----
+function saveSceneDocument() {
+  if (!sceneDoc) { showError(t('error.saveNeedsPage')); return; }
+  const blob = new Blob([JSON.stringify(sceneDoc, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a'); a.href = URL.createObjectURL(blob);
+  a.download = `speech-scene-${sceneDoc.type}-${sceneDoc.seed || 'edited'}.json`; a.click(); URL.revokeObjectURL(a.href);
+}
 
-    tasks.push(drawItem({ item, rect: spot, outline, showLabel: showLabels }));
+async function openSceneDocument(file) {
+  try {
+    const doc = JSON.parse(await file.text());
+    const valid = doc && Array.isArray(doc.items) &&
+      doc.items.every(i => typeof i.word === 'string' && i.rect && ['x','y','w','h'].every(k => Number.isFinite(i.rect[k])));
+    if (!valid) throw new Error(t('error.notAPage'));
+    if (!SceneCore.SCENE_TYPES.includes(doc.type)) throw new Error(t('error.unknownType', { type: doc.type }));
+    if (doc.type === 'story' && !Array.isArray(doc.panels)) throw new Error(t('error.storyNoPanels'));
+    doc.notes = Array.isArray(doc.notes) ? doc.notes : [];
+    doc.shapes = Array.isArray(doc.shapes) ? doc.shapes : [];
+    let nextId = Math.max(0, ...doc.items.map(i => Number.isFinite(i.id) ? i.id : 0)) + 1;
+    doc.items.forEach(i => { if (!Number.isFinite(i.id)) i.id = nextId++; });
+    await showSceneDocument(doc);
+    attachSceneToSession(doc);
+  } catch (e) {
+    showError(t('error.openFailed', { file: file.name, message: e.message }));
   }
-  await Promise.all(tasks);
+}
+
+document.getElementById('saveDoc').addEventListener('click', saveSceneDocument);
+document.getElementById('loadDoc').addEventListener('change', e => {
+  const file = e.target.files && e.target.files[0];
+  if (file) openSceneDocument(file);
+  e.target.value = '';
+});
+
+// ---- Shareable state (URL hash) ----
+// #lang=en&scene=sentence&count=3&layout=scatter&ph=s,ʃ&cl=st&pos=initial,final&syl=1,2&labels=1&outline=0&bg=1&adj=0&seed=k3x9q2
+const STATE_TOGGLES = { labels: showLabelsEl, outline: outlineEl, bg: useBgsEl, adj: useAdjEl, free: bingoFreeEl, theme: themedEl, captions: captionsEl, shuffle: storyShuffleEl, names: characterSoundsEl, rotate: rotateTargetsEl };
 
-  targetsEl.innerHTML = selection.length
-    ? `<h3>Targets in this picture:</h3><ul>${drawnTargets.map(t => `<li>${t}</li>`).join("")}</ul>`
-    : `<p class="error">No items matched your selections. Add words to <code>data/words.json</code>.</p>`;
+function checkedValues(selector) {
+  return [...document.querySelectorAll(selector)].filter(cb => cb.checked).map(cb => cb.value);
+}
+function setCheckedValues(selector, values) {
+  document.querySelectorAll(selector).forEach(cb => { cb.checked = values.includes(cb.value); });
+}
+
+function encodeState() {
+  const params = new URLSearchParams();
+  params.set('lang', LANGUAGE.code);
+  params.set('scene', sceneTypeEl.value);
+  params.set('count', countEl.value);
+  params.set('layout', layoutEl.value);
+  params.set('board', bingoSizeEl.value);
+  params.set('memory', memoryModeEl.value);
+  params.set('mp', `${mpTargetEl.value},${mpContrastEl.value}`);
+  params.set('frame', sentenceFrameEl.value);
+  params.set('tense', sentenceTenseEl.value);
+  params.set('char', characterPinEl.value);
+  params.set('print', renderModeEl.value);
+  params.set('ph',  checkedValues('#phonemeFilters input[data-kind="phoneme"]').join(','));
+  params.set('cl',  checkedValues('#phonemeFilters input[data-kind="cluster"]').join(','));
+  params.set('pos', positionChecks().join(','));
+  params.set('syl', syllableChecks().join(','));
+  params.set('cat', categoryChecks().join(','));
+  for (const [key, el] of Object.entries(STATE_TOGGLES)) params.set(key, el.checked ? '1' : '0');
+  params.set('seed', seedEl.value);
+  return params.toString();
+}
+
+// Applies a hash produced by encodeState(); missing keys leave the current UI untouched
+function restoreStateFromHash(hash = location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if (![...params.keys()].length) return false;
+  const list = key => (params.get(key) || '').split(',').filter(Boolean);
+
+  // First, so the sounds below are ticked in that language's checklist
+  if (params.has('lang')) setLanguage(params.get('lang'));
+  if (params.has('scene') && [...sceneTypeEl.options].some(o => o.value === params.get('scene'))) {
+    sceneTypeEl.value = params.get('scene');
+  }
+  refreshCountLabel();
+  if (params.has('count')) countEl.value = params.get('count');
+  if (SceneCore.LAYOUT_MODES.includes(params.get('layout'))) layoutEl.value = params.get('layout');
+  if (['3', '4', '5'].includes(params.get('board'))) bingoSizeEl.value = params.get('board');
+  if (['picture-picture', 'picture-word'].includes(params.get('memory'))) memoryModeEl.value = params.get('memory');
+  const [mpTarget, mpContrast] = list('mp');
+  if (phonemeIds().includes(mpTarget)) mpTargetEl.value = mpTarget;
+  if (phonemeIds().includes(mpContrast)) mpContrastEl.value = mpContrast;
+  if (Grammar.grammarFor(LANGUAGE.code).frames[params.get('frame')]) sentenceFrameEl.value = params.get('frame');
+  if (Grammar.TENSES.includes(params.get('tense'))) sentenceTenseEl.value = params.get('tense');
+  if (RENDER_MODES.includes(params.get('print'))) renderModeEl.value = params.get('print');
+  if (params.has('char')) {
+    restoredCharacter = params.get('char');
+    if (CHARACTERS) renderCharacterPicker();
+  }
+  if (params.has('ph'))  setCheckedValues('#phonemeFilters input[data-kind="phoneme"]', list('ph'));
+  if (params.has('cl'))  setCheckedValues('#phonemeFilters input[data-kind="cluster"]', list('cl'));
+  if (params.has('pos')) setCheckedValues('input[name="position"]', list('pos'));
+  if (params.has('syl')) setCheckedValues('input[name="syllables"]', list('syl'));
+  if (params.has('cat')) {
+    restoredCategories = list('cat');
+    setCheckedValues('#categoryFilters input', restoredCategories);
+  }
+  for (const [key, el] of Object.entries(STATE_TOGGLES)) {
+    if (params.has(key)) el.checked = params.get(key) === '1';
+  }
+  if (params.get('seed')) seedEl.value = params.get('seed');
+  return true;
+}
+
+function writeStateToHash() {
+  const hash = '#' + encodeState();
+  if (location.hash !== hash) history.replaceState(null, '', hash);
 }
 
 // ---- Main generate dispatcher ----
+// Draws one page of the given scene type; returns its document (null on failure).
+// pageSeed varies the page within a pack while the recorded seed stays the base one.
+async function renderScene(type = sceneTypeEl.value, pageSeed = null) {
+  if (!WORDS) await loadWords();
+  const result = SceneCore.generateScene(WORDS, await sceneOptions(type, pageSeed));
+  if (!result.ok) {
+    showError(result.reason);
+    targetsEl.innerHTML = `<p class="error">${escapeHtml(result.reason)}</p>`;
+    clearScene();
+    return null;
+  }
+  result.usage.forEach(logUsage);
+  updateCoverage();
+  return showSceneDocument(result.doc);
+}
+
 async function generate() {
   if (!WORDS) await loadWords();
 
-  if (sceneTypeEl.value === 'sentence') {
-    await generateSentenceScene();
-    return;
-  }
-  await generateIspyOrActionsOrMixed();
+  if (!seedEl.value.trim()) seedEl.value = newSeed();
+  writeStateToHash();
+  updateCategoryCounts();
+
+  const doc = await renderScene();
+  attachSceneToSession(doc);
+  return doc;
 }
 
 // ---- Export & events ----
@@ -653,25 +1785,270 @@ function exportPNG() {
   a.click();
 }
 
+// ---- SVG export ----
+// The same page as vector art for Inkscape/Illustrator: pictures embedded, labels as <text>, blocks as <rect>
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// path → data URI for every picture that loads (in the current print mode); the rest become blocks, as on the canvas
+async function embeddedImages(doc) {
+  const paths = [...new Set([doc.background, ...doc.items.map(i => i.image)].filter(Boolean))];
+  const urls = new Map();
+  await Promise.all(paths.map(async p => {
+    try {
+      const styled = await styledDataUrl(p, p === doc.background ? 'background' : 'sprite');
+      if (styled) { urls.set(p, styled); return; }
+      const res = await fetch(p);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      urls.set(p, await blobToDataUrl(await res.blob()));
+    } catch (e) {
+      console.warn('[image] failed:', p);
+    }
+  }));
+  return urls;
+}
+
+async function exportSVG() {
+  if (!sceneDoc) { showError(t('error.exportNeedsPage')); return; }
+  const images = await embeddedImages(sceneDoc);
+  // Measure with the canvas font so labels break onto the same lines as the preview
+  ctx.save();
+  ctx.font = SceneCore.LABEL_FONT;
+  const svg = SceneCore.sceneToSvg(sceneDoc, { imageHref: p => images.get(p) || null, measureText: text => ctx.measureText(text).width });
+  ctx.restore();
+  downloadFile(`speech-scene-${sceneDoc.type}-${sceneDoc.seed || 'edited'}.svg`, svg, 'image/svg+xml');
+}
+
+// ---- PDF worksheet packs ----
+// Minimal PDF 1.4 writer: every page is one full-bleed JPEG on A4, so no library is needed
+const A4_PT = { w: 595.28, h: 841.89 };
+
+function canvasToJpegBytes(quality = 0.92) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (!blob) { reject(new Error(t('error.jpeg'))); return; }
+      blob.arrayBuffer().then(buf => resolve(new Uint8Array(buf)), reject);
+    }, 'image/jpeg', quality);
+  });
+}
+
+// pages: [{ jpeg: Uint8Array, width, height }] → application/pdf Blob
+function buildPdf(pages) {
+  const enc = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = part => {
+    const bytes = typeof part === 'string' ? enc.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, body, stream) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n${body}\n`);
+    if (stream) { push('stream\n'); push(stream); push('\nendstream\n'); }
+    push('endobj\n');
+  };
+
+  // Object ids: 1 catalog, 2 page tree, then page / content / image triples
+  const pageIds = pages.map((_, i) => 3 + i * 3);
+  push('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  pages.forEach((page, i) => {
+    const pageId = pageIds[i], contentId = pageId + 1, imageId = pageId + 2;
+    const content = enc.encode(`q ${A4_PT.w} 0 0 ${A4_PT.h} 0 0 cm /Im0 Do Q`);
+    object(pageId, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4_PT.w} ${A4_PT.h}] ` +
+      `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    object(contentId, `<< /Length ${content.length} >>`, content);
+    object(imageId, `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`, page.jpeg);
+  });
+
+  const xrefAt = length;
+  const count = 3 + pages.length * 3;
+  let xref = `xref\n0 ${count}\n0000000000 65535 f \n`;
+  for (let id = 1; id < count; id++) xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  push(xref);
+  push(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`);
+  return new Blob(chunks, { type: 'application/pdf' });
+}
+
+// Cover page listing the targets of every page in the pack
+// Draws one cover page listing pageSummaries from index `start`; returns the index of the first page
+// that didn't fit, so long packs continue the listing on further cover pages
+function drawPackCover(pageSummaries, seed, start = 0) {
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
+  ctx.save();
+  ctx.fillStyle = '#111';
+  ctx.textBaseline = 'top';
+  const x = 160, maxWidth = CANVAS_W - 320;
+  let y = 180;
+
+  ctx.font = 'bold 110px system-ui, sans-serif';
+  ctx.fillText(t(start ? 'cover.continued' : 'cover.title'), x, y, maxWidth);
+  y += 170;
+  ctx.font = '52px system-ui, sans-serif';
+  ctx.fillStyle = '#555';
+  if (!start) {
+    for (const line of wrapText(ctx, t('cover.seed', { summary: filterSummary(), seed }), maxWidth)) { ctx.fillText(line, x, y); y += 66; }
+  }
+  y += 60;
+
+  let next = start;
+  for (; next < pageSummaries.length; next++) {
+    const { page, type, words } = pageSummaries[next];
+    ctx.font = '52px system-ui, sans-serif';
+    const lines = wrapText(ctx, words.join(', ') || t('cover.noTargets'), maxWidth);
+    // A page's block never splits; one too tall for an empty cover is drawn anyway so the listing moves on
+    if (next > start && y + 80 + lines.length * 66 > CANVAS_H - 160) break;
+    ctx.fillStyle = '#111';
+    ctx.font = 'bold 60px system-ui, sans-serif';
+    ctx.fillText(t('cover.page', { page, type }), x, y);
+    y += 80;
+    ctx.font = '52px system-ui, sans-serif';
+    for (const line of lines) { ctx.fillText(line, x + 40, y); y += 66; }
+    y += 40;
+  }
+  ctx.restore();
+  return next;
+}
+
+const PACK_SCENE_TYPES = ['i-spy', 'actions', 'mixed', 'sentence', 'descriptive'];
+
+async function exportPdfPack() {
+  const nPages = Math.max(1, Math.min(30, parseInt(packPagesEl.value, 10) || 1));
+  const mixTypes = packMixEl.checked;
+  const uniqueTargets = packUniqueEl.checked;
+  if (!seedEl.value.trim()) seedEl.value = newSeed();
+  const baseSeed = seedEl.value.trim();
+  writeStateToHash();
+
+  const pages = [];
+  const summaries = [];
+  // Bingo cards deliberately share one caller deck, so only their card sets must differ
+  const bingoPack = !mixTypes && sceneTypeEl.value === 'bingo';
+  packUsedWords = uniqueTargets && !bingoPack ? new Set() : null;
+  packBingoCards = bingoPack ? new Set() : null;
+  try {
+    if (!WORDS) await loadWords();
+    for (let i = 0; i < nPages; i++) {
+      const type = mixTypes ? PACK_SCENE_TYPES[i % PACK_SCENE_TYPES.length] : sceneTypeEl.value;
+      targetsEl.innerHTML = `<p class="hint">${t('targets.building', { page: i + 1, pages: nPages })}</p>`;
+      const doc = await renderScene(type, `${baseSeed}-p${i + 1}`);
+      attachSceneToSession(doc);
+      const words = docWords(doc);
+      if (!words.length) {
+        if (!pages.length) return; // the generator already reported why
+        showError(uniqueTargets
+          ? t('error.packOutOfTargets', { pages: pages.length })
+          : t('error.packPageFailed', { page: i + 1 }));
+        return;
+      }
+      if (packUsedWords) words.forEach(w => packUsedWords.add(w.word));
+      pages.push({ jpeg: await canvasToJpegBytes(), width: CANVAS_W, height: CANVAS_H });
+      summaries.push({ page: i + 1, type: doc.theme ? `${type} · ${doc.theme}` : type, words: words.map(w => w.word) });
+    }
+
+    if (bingoPack) {
+      await renderScene('bingo-caller');
+      pages.push({ jpeg: await canvasToJpegBytes(), width: CANVAS_W, height: CANVAS_H });
+      summaries.push({ page: pages.length, type: 'bingo-caller', words: docWords(sceneDoc).map(w => w.word) });
+    }
+
+    if (packCoverEl.checked) {
+      const covers = [];
+      let next = 0;
+      do {
+        next = drawPackCover(summaries, baseSeed, next);
+        covers.push({ jpeg: await canvasToJpegBytes(), width: CANVAS_W, height: CANVAS_H });
+      } while (next < summaries.length);
+      pages.unshift(...covers);
+    }
+
+    const blob = buildPdf(pages);
+    const a = document.createElement('a'); a.href = URL.createObjectURL(blob);
+    a.download = `speech-scenes-pack-${baseSeed}.pdf`; a.click(); URL.revokeObjectURL(a.href);
+  } catch (e) {
+    showError(t('error.packFailed', { message: e.message }));
+  } finally {
+    packUsedWords = null;
+    packBingoCards = null;
+    await generate(); // put the preview back to the current settings
+  }
+}
+
+function reroll() {
+  seedEl.value = newSeed();
+  return generate();
+}
+
+async function copyLink() {
+  writeStateToHash();
+  try {
+    await navigator.clipboard.writeText(location.href);
+  } catch (e) {
+    showError(t('error.copyLink', { url: location.href }));
+  }
+}
+
 document.getElementById('generate').addEventListener('click', generate);
+document.getElementById('reroll').addEventListener('click', reroll);
+document.getElementById('copyLink').addEventListener('click', copyLink);
 document.getElementById('exportPng').addEventListener('click', exportPNG);
+document.getElementById('exportSvg').addEventListener('click', exportSVG);
+document.getElementById('exportPdf').addEventListener('click', exportPdfPack);
 document.getElementById('exportUsage').addEventListener('click', exportUsageCSV);
 document.getElementById('auditAssets').addEventListener('click', auditAssets);
+document.getElementById('auditPlaceholders').addEventListener('click', downloadPlaceholderSprites);
+document.getElementById('auditJson').addEventListener('click', downloadAuditJson);
 
-// Initial load
-Promise.all([loadWords(), loadBackgroundList()])
-  .then(generate)
-  .catch(err => {
-    console.error(err);
-    targetsEl.innerHTML = `<p class="error">Startup error. Check that <code>data/words.json</code> (or words-library.json) and optional <code>data/backgrounds.json</code> exist, and that you're serving via <code>http://</code>.</p>`;
-  });
+// The print mode only changes how the same page is drawn
+renderModeEl.addEventListener('change', () => {
+  writeStateToHash();
+  if (sceneDoc) play ? renderPlay() : renderDocument(sceneDoc);
+});
 
-  document.addEventListener("DOMContentLoaded", () => {
-  renderPhonemeChecklist();
+// Category counts follow the other filters as they change; coverage follows any setting (and the client)
+document.addEventListener('change', e => {
+  if (e.target.matches('#phonemeFilters input, input[name="position"], input[name="syllables"]')) updateCategoryCounts();
+  updateCoverage();
 });
 
+// Pasting a shared link into an open tab only changes the hash
+window.addEventListener('hashchange', async () => {
+  if (location.hash === '#' + encodeState()) return;
+  const language = LANGUAGE.code;
+  if (!restoreStateFromHash()) return;
+  if (LANGUAGE.code !== language) await loadLanguageAndGenerate(language);
+  else generate();
+});
+
+// Initial load: the language list, then the checklist, must exist before a shared hash can tick its boxes
+async function init() {
+  await loadLanguageList();
+  setLanguage(LANGUAGE.code);
+  restoreStateFromHash();
+  renderProgress();
+
+  Promise.all([loadWords(), loadBackgroundList(), loadCharacterList()])
+    .then(renderCategoryChecklist)
+    .then(generate)
+    .catch(err => {
+      console.error(err);
+      targetsEl.innerHTML = `<p class="error">${t('targets.startup')}</p>`;
+    });
+}
+
 if (document.readyState !== 'loading') {
-  renderPhonemeChecklist();
+  init();
 } else {
-  document.addEventListener('DOMContentLoaded', renderPhonemeChecklist);
+  document.addEventListener('DOMContentLoaded', init);
 }
\ No newline at end of file
@@ -0,0 +1,1339 @@
+// ====== Speech Scenes — scene-core.js ======
+// The DOM-free generator core: word selection, layout and scene documents.
+// main.js is a thin browser adapter over it (as window.SceneCore, after wordbank.js, grammar.js and i18n.js);
+// tools/render-scene.js uses it from Node to write scene JSON and SVG pages.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./wordbank.js'), require('./grammar.js'), require('./i18n.js'));
+  else root.SceneCore = factory(root.WordBank, root.Grammar, root.I18n);
+})(typeof self !== 'undefined' ? self : this, function (WordBank, Grammar, I18n) {
+  const { ENGLISH_INVENTORY, POSITIONS, migrateWordBank } = WordBank;
+  const { DEFAULT_GRAMMAR, subjectPronoun, nounNumber, capitalize, openers, grammarFor } = Grammar;
+  const { translate } = I18n;
+
+  const PAGE = { w: 2480, h: 3508 }; // A4 @ 300dpi
+  const SCENE_TYPES = ['i-spy', 'actions', 'mixed', 'sentence', 'story', 'descriptive', 'bingo', 'bingo-caller', 'memory', 'minimal-pairs'];
+
+  /**
+   * Everything a generator reads. The browser builds this from its controls; the CLI from argv.
+   * seed drives the recorded page seed, the bingo deck and themes; pageSeed (default: seed)
+   * drives every other choice, so pages of one pack differ but share a deck.
+   * exclude (Set of words) and bingoCards (Set of card signatures) carry state across pack pages.
+   * language picks the sentence grammar and message strings; inventory is that pack's sounds (WordBank.packInventory).
+   */
+  function defaultOptions() {
+    return {
+      type: 'i-spy', count: 12, seed: '', pageSeed: null, layout: 'scatter',
+      filters: { phonemes: [], clusters: [], positions: ['initial', 'medial', 'final'], syllables: [], categories: [] },
+      labels: true, outline: false, adjectives: false, backgrounds: [], themed: false,
+      bingo: { size: 4, free: true }, memory: 'picture-picture', pairs: { target: 's', contrast: 'ʃ' },
+      sentence: { ...DEFAULT_GRAMMAR, captions: false }, story: { shuffled: false },
+      characters: [], character: { pinned: '', matchSounds: false },
+      exclude: null, bingoCards: null, language: 'en', inventory: ENGLISH_INVENTORY,
+      history: null // practised words, oldest first: when set, targets rotate (rotationSample)
+    };
+  }
+
+  // ---- Word bank preparation ----
+  // Migrates single-position entries to "sounds", then rewrites every sound (and pronunciation segment)
+  // to its canonical ID in the pack's inventory; returns unknown tag → example words
+  function normalizeBank(bank, inventory = ENGLISH_INVENTORY) {
+    if (!Array.isArray(bank.adjectives)) bank.adjectives = [];
+    migrateWordBank(bank, inventory);
+    const unknown = new Map();
+    for (const list of [bank.nouns, bank.verbs, bank.adjectives]) {
+      for (const entry of (list || [])) {
+        if (typeof entry.pronunciation === 'string') {
+          entry.pronunciation = entry.pronunciation.trim().split(/\s+/).map(p => inventory.canonical(p) || p).join(' ');
+        }
+        if (!Array.isArray(entry.sounds)) continue;
+        entry.sounds.forEach(sound => {
+          const id = inventory.canonical(sound.phoneme);
+          if (id) { sound.phoneme = id; return; }
+          const key = String(sound.phoneme);
+          if (!unknown.has(key)) unknown.set(key, []);
+          unknown.get(key).push(entry.word);
+          sound.phoneme = key.toLowerCase();
+        });
+      }
+    }
+    return unknown;
+  }
+
+  // Character manifest entries ({ name, pronouns: "she/her", image, sounds }) as sentence subjects:
+  // word is the name, so they filter and tag like word entries; entries without a name are dropped
+  function normalizeCharacters(list, inventory = ENGLISH_INVENTORY) {
+    return (Array.isArray(list) ? list : []).filter(c => c && typeof c.name === 'string' && c.name.trim()).map(c => ({
+      word: c.name.trim(), pronouns: subjectPronoun(c.pronouns), image: c.image || null,
+      sounds: (Array.isArray(c.sounds) ? c.sounds : [])
+        .map(sound => ({ phoneme: inventory.canonical(sound.phoneme), positions: Array.isArray(sound.positions) ? sound.positions : [] }))
+        .filter(sound => sound.phoneme)
+    }));
+  }
+
+  // ---- Seeded randomness ----
+  // Every random choice goes through an rng made here, so the same seed + options reproduce the page exactly.
+  function hashSeed(str) {
+    let h = 2166136261 >>> 0; // FNV-1a
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 16777619) >>> 0;
+    }
+    return h;
+  }
+  function mulberry32(a) {
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+  function createRng(seed) { return mulberry32(hashSeed(String(seed))); }
+
+  // Fisher–Yates rather than sort(): a random comparator gives engine-dependent orders for the same seed
+  function sample(list, n, rng) {
+    const out = [...list];
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out.slice(0, n);
+  }
+  function randBetween(a, b, rng) { return Math.floor(rng() * (b - a + 1)) + a; }
+
+  // ---- Layout engine ----
+  // Deterministic packing that places EVERY requested box (scaling all of them down
+  // uniformly if needed) or says why it can't. Modes:
+  //   grid    – equal cells, items centred
+  //   shelf   – rows of items, tallest first (bin-packing)
+  //   scatter – grid cells in random order with random offsets: looks scattered, never overlaps
+  const LAYOUT_MODES = ['scatter', 'grid', 'shelf'];
+  const MIN_LAYOUT_SIDE = 120; // ~1cm at 300dpi; smaller pictures aren't usable
+
+  // Best column count for n cells of the given sizes: the one that lets items stay largest
+  function gridFit(sizes, RW, RH, gap) {
+    const n = sizes.length;
+    let best = null;
+    for (let cols = 1; cols <= n; cols++) {
+      const rows = Math.ceil(n / cols);
+      const cellW = (RW - (cols - 1) * gap) / cols;
+      const cellH = (RH - (rows - 1) * gap) / rows;
+      if (cellW <= 0 || cellH <= 0) break;
+      const scale = Math.min(1, ...sizes.map(s => Math.min(cellW / s.w, cellH / s.h)));
+      if (!best || scale > best.scale) best = { cols, rows, cellW, cellH, scale };
+    }
+    return best;
+  }
+
+  // Shelf packing at a fixed scale; returns rects (input order) or null if they don't fit
+  function shelfPack(sizes, scale, RW, RH, gap) {
+    const order = sizes.map((s, i) => i).sort((a, b) => sizes[b].h - sizes[a].h);
+    const rects = [];
+    const shelves = [];
+    let shelf = null;
+    for (const i of order) {
+      const w = sizes[i].w * scale, h = sizes[i].h * scale;
+      if (w > RW) return null;
+      if (!shelf || shelf.x + w > RW) {
+        const y = shelf ? shelf.y + shelf.h + gap : 0;
+        shelf = { y, h: 0, x: 0, items: [] };
+        shelves.push(shelf);
+      }
+      if (shelf.y + h > RH) return null;
+      rects[i] = { x: shelf.x, y: shelf.y, w, h };
+      shelf.items.push(i);
+      shelf.x += w + gap;
+      shelf.h = Math.max(shelf.h, h);
+    }
+    // Centre each shelf horizontally and the whole stack vertically
+    const last = shelves[shelves.length - 1];
+    const offY = (RH - (last.y + last.h)) / 2;
+    for (const s of shelves) {
+      const offX = (RW - (s.x - gap)) / 2;
+      for (const i of s.items) { rects[i].x += offX; rects[i].y += offY + (s.h - rects[i].h) / 2; }
+    }
+    return rects;
+  }
+
+  /**
+   * sizes: [{ w, h }] preferred box sizes
+   * opts: { mode: 'grid'|'shelf'|'scatter', margin, gap, rng, language } (rng is only used by scatter; language words the reason)
+   * → { ok: true, rects: [{ x, y, w, h }] (same order as sizes), scale } | { ok: false, reason }
+   */
+  function layoutBoxes(sizes, { mode = 'scatter', margin = 80, gap = 32, rng = Math.random, language = 'en' } = {}) {
+    if (!sizes.length) return { ok: true, rects: [], scale: 1 };
+    const RW = PAGE.w - margin * 2, RH = PAGE.h - margin * 2;
+    const smallest = Math.min(...sizes.map(s => Math.min(s.w, s.h)));
+    const tooSmall = scale => smallest * scale < MIN_LAYOUT_SIDE;
+    const impossible = () => ({
+      ok: false,
+      reason: translate(language, 'error.layout', { n: sizes.length, min: MIN_LAYOUT_SIDE })
+    });
+    const finish = (rects, scale) => ({
+      ok: true,
+      scale,
+      rects: rects.map(r => ({ x: Math.round(r.x + margin), y: Math.round(r.y + margin), w: Math.round(r.w), h: Math.round(r.h) }))
+    });
+
+    if (mode === 'shelf') {
+      if (shelfPack(sizes, 1, RW, RH, gap)) return finish(shelfPack(sizes, 1, RW, RH, gap), 1);
+      let lo = 0, hi = 1; // largest scale that still packs
+      for (let i = 0; i < 24; i++) {
+        const mid = (lo + hi) / 2;
+        if (shelfPack(sizes, mid, RW, RH, gap)) lo = mid; else hi = mid;
+      }
+      if (!lo || tooSmall(lo)) return impossible();
+      return finish(shelfPack(sizes, lo, RW, RH, gap), lo);
+    }
+
+    const fit = gridFit(sizes, RW, RH, gap);
+    if (!fit || tooSmall(fit.scale)) return impossible();
+    const { cols, rows, cellW, cellH, scale } = fit;
+
+    // scatter: spare cells let items drift, so use a random subset of all cells in random order
+    const cells = [...Array(cols * rows).keys()];
+    const slots = mode === 'scatter' ? sample(cells, sizes.length, rng) : cells.slice(0, sizes.length);
+    const rects = sizes.map((s, i) => {
+      const col = slots[i] % cols, row = Math.floor(slots[i] / cols);
+      const w = s.w * scale, h = s.h * scale;
+      const freeX = cellW - w, freeY = cellH - h;
+      const fx = mode === 'scatter' ? rng() : 0.5;
+      const fy = mode === 'scatter' ? rng() : 0.5;
+      return { x: col * (cellW + gap) + freeX * fx, y: row * (cellH + gap) + freeY * fy, w, h };
+    });
+    return finish(rects, scale);
+  }
+
+  // Tiles of equal size covering the page area; cut lines run along their edges
+  function cutSheetGrid(n, aspect, margin = 80) {
+    const RW = PAGE.w - margin * 2, RH = PAGE.h - margin * 2;
+    const fit = gridFit(Array.from({ length: n }, () => ({ w: PAGE.w, h: PAGE.w * aspect })), RW, RH, 0);
+    const { cols, rows, scale } = fit;
+    const w = PAGE.w * scale, h = PAGE.w * aspect * scale;
+    const x0 = margin + (RW - cols * w) / 2, y0 = margin + (RH - rows * h) / 2;
+    const tiles = [];
+    for (let i = 0; i < n; i++) {
+      tiles.push({ x: x0 + (i % cols) * w, y: y0 + Math.floor(i / cols) * h, w, h });
+    }
+    const shapes = [];
+    const dash = { type: 'line', stroke: '#888', lineWidth: 3, dash: [24, 16] };
+    for (let r = 0; r <= rows; r++) shapes.push({ ...dash, x1: x0, y1: y0 + r * h, x2: x0 + cols * w, y2: y0 + r * h });
+    for (let c = 0; c <= cols; c++) shapes.push({ ...dash, x1: x0 + c * w, y1: y0, x2: x0 + c * w, y2: y0 + rows * h });
+    return { tiles, shapes };
+  }
+
+  // ---- Filters ----
+  // filters: { phonemes: [IPA], clusters: ['st'], positions: ['initial',…], syllables: ['1','4plus'], categories: [] }
+  // Phonemes are canonical inventory IDs (callers canonicalize what users type)
+  function matchesSyllables(item, sel) {
+    if (!sel.length) return true; // no restriction
+    const s = Number(item.syllables || 0);
+    const wants4plus = sel.includes('4plus');
+    const nums = sel.filter(v => v !== '4plus').map(v => Number(v));
+    if (wants4plus && s >= 4) return true;
+    return nums.includes(s);
+  }
+
+  // Where a cluster sits in the word. Imported entries list their clusters; older ones are read from
+  // the spelling: at the start initial, at the end final, anywhere else medial.
+  function clusterPositions(item, cluster) {
+    if (Array.isArray(item.clusters)) return item.clusters.filter(c => c.cluster === cluster).map(c => c.position);
+    const w = (item.word || '').toLowerCase();
+    const found = [];
+    for (let i = w.indexOf(cluster); i >= 0; i = w.indexOf(cluster, i + 1)) {
+      found.push(i === 0 ? 'initial' : i + cluster.length === w.length ? 'final' : 'medial');
+    }
+    return found;
+  }
+
+  /**
+   * The entry's sounds the filters ask for, each cut down to the selected positions:
+   * a selected phoneme in a selected position, plus every sound beside a selected cluster.
+   * → [{ phoneme, positions }] (empty when the entry isn't a target)
+   */
+  function targetSounds(item, filters) {
+    const phonemes = filters.phonemes || [];
+    const clusters = (filters.clusters || []).map(c => c.toLowerCase());
+    const positions = filters.positions || POSITIONS;
+    const sounds = item.sounds || [];
+    const hits = new Map();
+    const hit = (phoneme, pos) => hits.set(phoneme, [...(hits.get(phoneme) || []), pos]);
+    for (const s of sounds) {
+      if (phonemes.includes(s.phoneme)) s.positions.filter(p => positions.includes(p)).forEach(p => hit(s.phoneme, p));
+    }
+    for (const cl of clusters) {
+      for (const pos of clusterPositions(item, cl).filter(p => positions.includes(p))) {
+        sounds.filter(s => s.positions.includes(pos)).forEach(s => hit(s.phoneme, pos));
+        if (!sounds.some(s => s.positions.includes(pos))) hit(null, pos); // a cluster on an untagged part of the word
+      }
+    }
+    return [...hits].map(([phoneme, ps]) => ({ phoneme, positions: POSITIONS.filter(p => ps.includes(p)) }));
+  }
+
+  // A selected phoneme in a selected position, or a selected cluster in a selected position
+  function matchesSounds(item, filters) {
+    // Nothing selected: only untagged entries pass (generators refuse an empty selection anyway)
+    if (!(filters.phonemes || []).length && !(filters.clusters || []).length) return !Array.isArray(item.sounds);
+    return targetSounds(item, filters).length > 0;
+  }
+
+  function passesFilters(item, filters) {
+    return matchesSyllables(item, filters.syllables || []) && matchesSounds(item, filters);
+  }
+
+  // Adjectives describe things rather than belong to a theme, so only nouns and verbs are narrowed
+  function inCategories(item, type, filters, theme) {
+    if (type === 'adjectives') return true;
+    const cats = item.categories || [];
+    if (theme) return cats.includes(theme);
+    const sel = filters.categories || [];
+    return !sel.length || cats.some(c => sel.includes(c));
+  }
+
+  // type: 'actions' for verbs; 'adjectives' for adjectives; anything else for nouns
+  function wordList(bank, type) {
+    if (type === 'actions') return bank.verbs;
+    if (type === 'adjectives') return bank.adjectives || [];
+    return bank.nouns;
+  }
+
+  function notExcluded(item, options) { return !options.exclude || !options.exclude.has(item.word); }
+
+  function pool(bank, type, options, theme = null) {
+    return wordList(bank, type).filter(item =>
+      notExcluded(item, options) &&
+      inCategories(item, type, options.filters, theme) &&
+      passesFilters(item, options.filters)
+    );
+  }
+
+  function filterSummary(filters, theme = null, language = 'en') {
+    const any = translate(language, 'summary.any');
+    const phon = [...(filters.phonemes || []), ...(filters.clusters || [])];
+    const syl = filters.syllables || [];
+    const cats = theme ? [theme] : (filters.categories || []);
+    return translate(language, 'summary.filters', {
+      phonemes: phon.length ? phon.join(' · ') : any,
+      positions: filters.positions.map(p => translate(language, `position.${p}`)).join(' · '),
+      syllables: syl.length ? syl.map(s => (s === '4plus' ? '4+' : s)).join(', ') : any,
+      categories: cats.length ? cats.join(' · ') : any
+    });
+  }
+
+  // ---- Target rotation ----
+  const syllableBucket = n => (Number(n) >= 4 ? '4plus' : String(Number(n) || 0));
+
+  /**
+   * n of list, picked the way a caseload rotates instead of at random. The history (words, oldest first) is
+   * read in rounds: a round ends once every word of this pool has come up, so words not yet practised in the
+   * current round go first and consecutive pages cover the whole pool before anything repeats. Within that,
+   * each pick keeps the positions and syllable lengths the filters select at even shares, then prefers the
+   * word seen longest ago; rng breaks the remaining ties. entryOf maps list items to word entries.
+   */
+  function rotationSample(list, n, rng, history, filters, entryOf = x => x) {
+    const words = new Set(list.map(x => entryOf(x).word));
+    const last = new Map(); // word → index of its latest use
+    let round = new Set();
+    (history || []).forEach((word, i) => {
+      if (!words.has(word)) return;
+      last.set(word, i);
+      round.add(word);
+      if (round.size === words.size) round = new Set();
+    });
+
+    const wanted = { position: filters.positions || [], syllables: filters.syllables || [] };
+    const tally = { position: new Map(), syllables: new Map() };
+    const picks = [];
+    // How far below its even share this candidate's position and syllable length would be after one more pick
+    const shortfall = c => Object.keys(wanted).reduce((sum, key) => {
+      if (wanted[key].length < 2 || !wanted[key].includes(c[key])) return sum;
+      return sum + (picks.length + 1) / wanted[key].length - (tally[key].get(c[key]) || 0);
+    }, 0);
+
+    let left = sample(list, list.length, rng).map(x => {
+      const entry = entryOf(x);
+      return { x, word: entry.word, position: entryTags(entry, filters).position, syllables: syllableBucket(entry.syllables), last: last.has(entry.word) ? last.get(entry.word) : -1 };
+    });
+    while (picks.length < n && left.length) {
+      const due = left.filter(c => !round.has(c.word));
+      const best = (due.length ? due : left).reduce((a, b) => {
+        const d = shortfall(b) - shortfall(a);
+        return d > 0 || (d === 0 && b.last < a.last) ? b : a;
+      });
+      picks.push(best.x);
+      left = left.filter(c => c !== best);
+      tally.position.set(best.position, (tally.position.get(best.position) || 0) + 1);
+      tally.syllables.set(best.syllables, (tally.syllables.get(best.syllables) || 0) + 1);
+    }
+    return picks;
+  }
+
+  // Distinct words a scene type draws its targets from under these options (what coverage is measured against)
+  function targetWords(bank, type, options) {
+    const opts = { ...defaultOptions(), ...options, filters: { ...defaultOptions().filters, ...options.filters } };
+    if (type === 'minimal-pairs') {
+      return [...new Set(findMinimalPairs(bank, opts.pairs.target, opts.pairs.contrast, opts).map(p => p.target.word))];
+    }
+    const lists = type === 'i-spy' ? ['i-spy'] : type === 'actions' ? ['actions'] : type === 'descriptive' ? ['i-spy', 'adjectives']
+      : ['sentence', 'story'].includes(type) && opts.adjectives ? ['i-spy', 'actions', 'adjectives'] : ['i-spy', 'actions'];
+    return [...new Set(lists.flatMap(list => pool(bank, list, { ...opts, exclude: null }).map(item => item.word)))];
+  }
+
+  // Target words a usage event records
+  function usageWords(event) {
+    return [event.verb, event.adjective, event.noun, ...(event.words || [])].filter(Boolean);
+  }
+
+  // → { practised, total }: how many of the pool's words the history has covered
+  function coverage(words, history) {
+    const seen = new Set(history);
+    return { practised: words.filter(word => seen.has(word)).length, total: words.length };
+  }
+
+  // ---- Categories & themes ----
+  // category → number of distinct words in these lists passing every filter except the categories
+  function categoryCounts(bank, options, types = ['i-spy', 'actions']) {
+    const words = new Map();
+    for (const type of types) {
+      for (const item of wordList(bank, type)) {
+        if (!notExcluded(item, options) || !passesFilters(item, options.filters)) continue;
+        for (const c of item.categories || []) {
+          if (!words.has(c)) words.set(c, new Set());
+          words.get(c).add(item.word);
+        }
+      }
+    }
+    return new Map([...words].map(([c, set]) => [c, set.size]));
+  }
+
+  function bingoBoard(options) {
+    const size = Math.max(3, Math.min(5, parseInt(options.bingo.size, 10) || 4));
+    const free = !!options.bingo.free && size % 2 === 1; // a free space needs a centre cell
+    return { size, free, cells: size * size - (free ? 1 : 0) };
+  }
+
+  // Word lists a theme has to fill for each scene type
+  const THEME_LISTS = { 'i-spy': ['i-spy'], actions: ['actions'], descriptive: ['i-spy'] };
+
+  // One category for the page, among the ticked ones (any if none ticked), that can fill it.
+  // Bingo cards and caller cards must agree on the theme, so games pick it from the base seed only.
+  function pickTheme(bank, options, type, rng) {
+    const counts = categoryCounts(bank, options, THEME_LISTS[type] || ['i-spy', 'actions']);
+    const sel = options.filters.categories || [];
+    const candidates = [...counts.keys()].filter(c => !sel.length || sel.includes(c)).sort();
+    const games = ['bingo', 'bingo-caller'].includes(type);
+    const need = games ? bingoBoard(options).cells : parseInt(options.count, 10) || 1;
+    const roomy = candidates.filter(c => counts.get(c) >= need);
+    if (!candidates.length) return null;
+    // Nothing can fill the page: the fullest category gives the clearest "too few words" message
+    const choices = roomy.length ? roomy : [candidates.reduce((a, b) => counts.get(b) > counts.get(a) ? b : a)];
+    const pick = games ? createRng(`${options.seed}-theme`) : rng;
+    return choices[Math.floor(pick() * choices.length)];
+  }
+
+  // ---- Verb–object relations ----
+  // Verbs carry a "frame" plus the nouns that make sense as their object ("objects" by word,
+  // "objectCategories" by category); see WordBank.VERB_FRAMES
+  function takesObject(verb) { return verb.frame === 'transitive' || verb.frame === 'prepositional'; }
+
+  function plausibleObjects(verb, nouns) {
+    const named = verb.objects || [];
+    const cats = verb.objectCategories || [];
+    return nouns.filter(n => named.includes(n.word) || (n.categories || []).some(c => cats.includes(c)));
+  }
+
+  // Verbs in the pool that need an object but have none among these nouns
+  function verbsWithoutObjects(verbs, nouns) {
+    return verbs.filter(v => takesObject(v) && !plausibleObjects(v, nouns).length);
+  }
+
+  // ---- Minimal pairs ----
+  // Pairs are words that differ only in the target vs contrast sound. Two sources:
+  //  1) an entry's optional "pronunciation" (space-separated phonemes, e.g. "s ɪ p"), compared segment by segment;
+  //  2) spelling: swap one grapheme of the target sound for one of the contrast sound (sip → ship)
+  //     and keep the pair only if the phoneme tags agree that the sound is really there (English only).
+  const PHONEME_SPELLINGS = {
+    "p": ["p", "pp"], "b": ["b", "bb"], "t": ["t", "tt"], "d": ["d", "dd"],
+    "k": ["k", "c", "ck"], "g": ["g", "gg"], "f": ["f", "ff", "ph"], "v": ["v"],
+    "θ": ["th"], "ð": ["th"], "s": ["s", "ss"], "z": ["z", "zz"], "ʃ": ["sh"], "ʒ": [],
+    "h": ["h"], "tʃ": ["ch", "tch"], "dʒ": ["j", "dge"], "m": ["m", "mm"], "n": ["n", "nn"],
+    "ŋ": ["ng"], "l": ["l", "ll"], "r": ["r", "rr"], "j": ["y"], "w": ["w"]
+  };
+  // Longest graphemes first so "sh" is never read as "s" + "h"
+  const GRAPHEMES = [...new Set(Object.values(PHONEME_SPELLINGS).flat())].sort((a, b) => b.length - a.length);
+
+  function graphemeSegments(word) {
+    const segs = [];
+    for (let i = 0; i < word.length;) {
+      const g = GRAPHEMES.find(g => word.startsWith(g, i)) || word[i];
+      segs.push(g);
+      i += g.length;
+    }
+    return segs;
+  }
+  function segmentPosition(i, n) { return i === 0 ? 'initial' : i === n - 1 ? 'final' : 'medial'; }
+
+  // Every picturable entry once (first class wins), with its kind
+  function allEntries(bank) {
+    const seen = new Map();
+    for (const [type, kind] of [['i-spy', 'noun'], ['actions', 'verb'], ['adjectives', 'adjective']]) {
+      for (const e of wordList(bank, type)) if (!seen.has(e.word)) seen.set(e.word, { ...e, kind });
+    }
+    return [...seen.values()];
+  }
+
+  function hasTag(entry, id) { return (entry.sounds || []).some(s => s.phoneme === id); }
+
+  const sharedSpelling = g => Object.values(PHONEME_SPELLINGS).filter(list => list.includes(g)).length > 1;
+
+  // Spelling alone is a guess (chef is /ʃ/, not /tʃ/), so the tags must back it up:
+  // normally one side is enough, but shared spellings ("th") need their own side tagged,
+  // and a liquid after a vowel (share, ball) colours the vowel, so both sides must be tagged.
+  function spellingPairConfirmed(entry, target, g, other, contrast, alt, index) {
+    const a = hasTag(entry, target), b = hasTag(other, contrast);
+    if (sharedSpelling(g) && !a) return false;
+    if (sharedSpelling(alt) && !b) return false;
+    if (index > 0 && ['l', 'r'].some(p => p === target || p === contrast)) return a && b;
+    return a || b;
+  }
+
+  // → [{ target, contrast, position }] for words with the target sound in one of the filter positions
+  function findMinimalPairs(bank, target, contrast, options) {
+    if (!target || !contrast || target === contrast) return [];
+    const { positions, syllables = [] } = options.filters;
+    const entries = allEntries(bank).filter(e => notExcluded(e, options));
+    const byWord = new Map(entries.map(e => [e.word.toLowerCase(), e]));
+    const byPron = new Map(entries.filter(e => e.pronunciation).map(e => [e.pronunciation, e]));
+    const spelled = (options.inventory || ENGLISH_INVENTORY).language === 'en' && PHONEME_SPELLINGS[target] && PHONEME_SPELLINGS[contrast];
+    const pairs = new Map(); // "target|contrast" → pair
+
+    for (const entry of entries) {
+      if (!matchesSyllables(entry, syllables)) continue;
+      const add = (other, position) => {
+        if (!other || other === entry || !positions.includes(position)) return;
+        const key = `${entry.word}|${other.word}`;
+        if (!pairs.has(key)) pairs.set(key, { target: entry, contrast: other, position });
+      };
+
+      if (entry.pronunciation) {
+        const segs = entry.pronunciation.split(' ');
+        segs.forEach((p, i) => {
+          if (p !== target) return;
+          const swapped = segs.map((q, j) => j === i ? contrast : q).join(' ');
+          add(byPron.get(swapped), segmentPosition(i, segs.length));
+        });
+      }
+
+      const word = entry.word.toLowerCase();
+      if (!spelled || /\s/.test(word)) continue;
+      const segs = graphemeSegments(word);
+      segs.forEach((g, i) => {
+        if (!PHONEME_SPELLINGS[target].includes(g)) return;
+        for (const alt of PHONEME_SPELLINGS[contrast]) {
+          if (alt === g) continue;
+          const other = byWord.get(segs.map((s, j) => j === i ? alt : s).join(''));
+          if (other && spellingPairConfirmed(entry, target, g, other, contrast, alt, i)) add(other, segmentPosition(i, segs.length));
+        }
+      });
+    }
+    return [...pairs.values()];
+  }
+
+  // Pair counts for every contrast with the target sound, most pairs first
+  function contrastReport(bank, target, options) {
+    return (options.inventory || ENGLISH_INVENTORY).phonemes.map(p => p.id)
+      .filter(c => c !== target)
+      .map(contrast => ({ contrast, pairs: findMinimalPairs(bank, target, contrast, options).length }))
+      .sort((a, b) => b.pairs - a.pairs);
+  }
+
+  // ---- Scene documents ----
+  // { version, type, seed, language, theme, background, outline, notes[], shapes[], items: [{ id, word, kind, rect, image, label, group?, role? }] }
+  // Sentence and story pages add grammar: { frame, tense } and captions: true|false;
+  // story pages also panels: [{ step, rect }] (page order) and shuffled: true|false.
+  // shapes are static decorations (bingo grids, cut lines): { type: 'rect'|'line'|'text', … }
+  // Item ids and default labels are filled in by generateScene().
+  function newSceneDoc(run, type, background = null) {
+    const notes = run.theme ? [say(run, 'note.theme', { theme: run.theme })] : [];
+    return { version: 1, type, seed: run.options.seed, language: run.options.language, theme: run.theme, background, outline: !!run.options.outline, notes, shapes: [], items: [] };
+  }
+  function docItem(run, entry, kind, rect, extra = {}) {
+    return {
+      id: null, word: entry.word, kind,
+      rect: { x: rect.x, y: rect.y, w: rect.w, h: rect.h },
+      image: entry.image || null, label: null,
+      ...entryTags(entry, run.options.filters), ...extra
+    };
+  }
+  // Phoneme/position/syllable tags travel with the item so scored trials can be summarised later:
+  // the sounds the filters targeted (all of the entry's for words picked for another reason,
+  // like sentence objects) and the first position they were targeted in
+  function entryTags(entry, filters = null) {
+    const targeted = filters ? targetSounds(entry, filters) : [];
+    const sounds = targeted.length ? targeted : (entry.sounds || []);
+    return {
+      phonemes: [...new Set(sounds.map(s => s.phoneme).filter(Boolean))],
+      position: POSITIONS.find(p => sounds.some(s => s.positions.includes(p))) || null,
+      syllables: entry.syllables || null
+    };
+  }
+  // Word items only, one per word (character placeholders are not targets; game boards repeat words)
+  function docWords(doc) {
+    if (!doc) return [];
+    const seen = new Set();
+    return doc.items.filter(i => i.kind !== 'character' && !seen.has(i.word) && seen.add(i.word));
+  }
+  // Group index → its items keyed by role: { subject, verb, adjective, object }
+  function groupMap(doc) {
+    const groups = new Map();
+    for (const item of doc.items) {
+      if (item.group == null) continue;
+      if (!groups.has(item.group)) groups.set(item.group, {});
+      groups.get(item.group)[item.role] = item;
+    }
+    return groups;
+  }
+  // Sentence/phrase groups in item order
+  function docGroups(doc) {
+    return [...groupMap(doc).values()];
+  }
+  // A page's { frame, tense }: frames the language offers only, and a tense the frame takes (else present)
+  function sentenceGrammar(grammar = {}, language = 'en') {
+    const { frames } = grammarFor(language);
+    const frame = frames[grammar.frame] ? grammar.frame : DEFAULT_GRAMMAR.frame;
+    const tense = frames[frame].tenses.includes(grammar.tense) ? grammar.tense : 'present';
+    return { frame, tense };
+  }
+  // Who the sentence is about, and how the verb agrees: "I", "She"/"They", "Sam" or "The person"
+  // (characters have pronouns; the plain placeholder doesn't). pronoun: true swaps a name for its pronoun.
+  function subjectOf(group, frame, pronoun, lang) {
+    const who = group.subject;
+    if (frame.subject === 'I') return lang.subject('I');
+    const character = who && who.pronouns ? { name: who.word, pronoun: who.pronouns } : null;
+    if (frame.subject === 'pronoun' || (pronoun && character)) return lang.subject('pronoun', character || {});
+    return character ? lang.subject('name', character) : lang.subject('person');
+  }
+  // Words joined by spaces (none after a glued token like l'), targets wrapped, the first capitalized if asked
+  function renderTokens(tokens, wrap, capitalizeFirst = false) {
+    return tokens.map((token, i) => {
+      const word = i === 0 && capitalizeFirst ? capitalize(token.word) : token.word;
+      return (token.item ? wrap(token.item, word) : word) + (token.glue || i === tokens.length - 1 ? '' : ' ');
+    }).join('');
+  }
+  // "Sam sits on the hot chair.", "She skates.", "I saw an olive.", "J'ai mangé la soupe." — wrap(item, text)
+  // lets the browser bold the targets; opener starts a story step ("Then, she skates.")
+  function sentenceText(group, wrap = (item, text) => text, grammar = DEFAULT_GRAMMAR, { pronoun = false, opener = '', language = 'en' } = {}) {
+    const lang = grammarFor(language);
+    const { frame: frameId, tense } = sentenceGrammar(grammar, language);
+    const frame = lang.frames[frameId];
+    const subject = subjectOf(group, frame, pronoun, lang);
+    const tokens = subject.word ? [{ word: subject.word }] : []; // Spanish drops "yo"
+    if (frame.verb) tokens.push({ word: lang.conjugate(frame.verb, tense, subject) });
+    else if (group.verb) tokens.push({ word: lang.conjugate(group.verb.word, tense, subject), item: group.verb });
+    if (group.verb && group.verb.preposition) tokens.push({ word: group.verb.preposition });
+    tokens.push(...lang.nounPhrase(group.object, group.adjective, frame.article === 'definite'));
+    const text = renderTokens(lang.contract(tokens), wrap, !opener);
+    return opener ? `${opener}, ${text}.` : `${text}.`;
+  }
+  // "the hot chair", "la silla caliente": a describing page's phrase
+  function phraseText(group, wrap = (item, text) => text, language = 'en') {
+    const lang = grammarFor(language);
+    return renderTokens(lang.contract(lang.nounPhrase(group.object, group.adjective, true)), wrap);
+  }
+
+  // Plain-text sentences (or phrases) of a sentence/descriptive page, in group order
+  function docSentences(doc) {
+    if (doc.type === 'sentence') return docGroups(doc).filter(g => g.verb || g.object).map(g => sentenceText(g, undefined, doc.grammar, { language: doc.language }));
+    if (doc.type === 'story') {
+      const groups = groupMap(doc);
+      return [...groups.keys()].sort((a, b) => a - b).map(step => storyLine(doc, step, groups.get(step), { opener: true }));
+    }
+    if (doc.type === 'descriptive') return docGroups(doc).map(g => phraseText(g, undefined, doc.language));
+    return [];
+  }
+
+  const fail = reason => ({ ok: false, reason });
+  // Failure reasons and page notes are worded in the page's language
+  const say = (run, key, vars) => translate(run.options.language, key, vars);
+  const summary = run => filterSummary(run.options.filters, run.theme, run.options.language);
+  const needSounds = run => {
+    const { filters } = run.options;
+    if (!filters.phonemes.length && !filters.clusters.length) return say(run, 'error.needPhoneme');
+    if (!filters.positions.length) return say(run, 'error.needPosition');
+    return null;
+  };
+  // which: 'nouns', 'verbs', 'adjectives' or 'nounsOrVerbs'
+  const noneMatch = (run, which) => say(run, 'error.noneMatch', { which: say(run, `words.${which}`), summary: summary(run) });
+
+  // ---- Sentence scene (multi) ----
+  function sentenceBlockMetrics(nSentences) {
+    if (nSentences <= 2) return { W: 520, H: 520, gapVerbObj: 28, gapCharVerb: 80 };
+    if (nSentences <= 4) return { W: 420, H: 420, gapVerbObj: 24, gapCharVerb: 72 };
+    return { W: 320, H: 320, gapVerbObj: 20, gapCharVerb: 64 }; // 5–6 sentences
+  }
+  // Caption text height and the band reserved for it under each vignette, as shares of the block height
+  const CAPTION_SIZE = 0.13;
+  const CAPTION_BAND = 0.36;
+  // Blocks side by side in role order (subject, verb, adjective, object), the character set apart from its verb
+  function groupSize(metrics, roles, caption = false) {
+    const { W, H, gapVerbObj, gapCharVerb } = metrics;
+    const gaps = roles.slice(1).reduce((sum, role, i) => sum + (roles[i] === 'subject' ? gapCharVerb : gapVerbObj), 0);
+    return { Gw: roles.length * W + gaps, Gh: caption ? Math.round(H * (1 + CAPTION_BAND)) : H };
+  }
+
+  // The page's { frame, tense } (recorded on the doc) and whether sentences are captioned
+  function pageGrammar(doc, options) {
+    const wanted = { ...DEFAULT_GRAMMAR, ...options.sentence };
+    doc.grammar = sentenceGrammar(wanted, options.language);
+    doc.captions = !!wanted.captions;
+    return wanted;
+  }
+
+  /**
+   * n sentences for a frame, each { verb, adjective, object, roles }: verbs with a target object first,
+   * none repeated until all have been used; "I see a ___" pictures nouns only.
+   * → { ok: true, sentences, stranded, nounPool, withAdjective } | { ok: false, reason }
+   */
+  function pickSentences(run, frame, n) {
+    const { options } = run;
+    // Optional adjective slot: S–V–Adj–O
+    const adjPool = options.adjectives ? run.pool('adjectives') : [];
+    const withAdjective = adjPool.length > 0;
+
+    const nounPool = run.pool('i-spy');
+    const sentences = [];
+    let stranded = [];
+    if (frame.verb) {
+      if (!nounPool.length) return fail(noneMatch(run, 'nouns'));
+      const nounOrder = run.pick(nounPool, nounPool.length);
+      for (let s = 0; s < n; s++) {
+        sentences.push({ verb: null, adjective: withAdjective ? run.pick(adjPool, 1)[0] : null, object: nounOrder[s % nounOrder.length] });
+      }
+    } else {
+      const verbPool = run.pool('actions');
+      if (!verbPool.length) return fail(noneMatch(run, 'verbs'));
+      // Objects are preferably targets too; otherwise any plausible noun beats a random one
+      const anyNoun = wordList(run.bank, 'i-spy').filter(n => notExcluded(n, options) && inCategories(n, 'i-spy', options.filters, run.theme));
+      stranded = verbsWithoutObjects(verbPool, nounPool);
+      // Verbs with a target object first; repeats only once every verb has been used
+      const verbOrder = [...run.pick(verbPool.filter(v => !stranded.includes(v)), verbPool.length), ...run.pick(stranded, stranded.length)];
+      for (let s = 0; s < n; s++) {
+        const verb = verbOrder[s % verbOrder.length];
+        let object = null;
+        if (takesObject(verb)) {
+          const targets = plausibleObjects(verb, nounPool);
+          object = run.pick(targets.length ? targets : plausibleObjects(verb, anyNoun), 1)[0] || null;
+        }
+        const adjective = withAdjective && object ? run.pick(adjPool, 1)[0] : null;
+        sentences.push({ verb, adjective, object });
+      }
+    }
+    sentences.forEach(sentence => {
+      const { verb, adjective, object } = sentence;
+      sentence.roles = [frame.subject !== 'I' && 'subject', verb && 'verb', adjective && 'adjective', object && 'object'].filter(Boolean);
+    });
+    return { ok: true, sentences, stranded, nounPool, withAdjective };
+  }
+
+  // What an object's article and adjective agree with, kept on its item so edited pages re-word correctly
+  function nounAgreement(noun) {
+    return { number: nounNumber(noun), ...(noun.gender ? { gender: noun.gender } : {}) };
+  }
+
+  // One vignette's blocks, left to right from (x, y), each w × h; the gaps scale by k
+  function placeVignette(run, doc, { subject, verb, adjective, object, roles }, { x, y, w, h, k }, metrics, group) {
+    const place = (entry, kind, role, extra = {}) => {
+      doc.items.push(docItem(run, entry, kind, { x, y, w, h }, { group, role, ...extra }));
+      x += w + Math.round((role === 'subject' ? metrics.gapCharVerb : metrics.gapVerbObj) * k);
+    };
+    if (roles.includes('subject')) place(subject, 'character', 'subject', { label: true, ...(subject.pronouns ? { pronouns: subject.pronouns } : {}) });
+    if (verb) place(verb, 'verb', 'verb', verb.frame === 'prepositional' ? { preposition: verb.preposition } : {});
+    if (adjective) place(adjective, 'adjective', 'adjective');
+    if (object) place(object, 'noun', 'object', nounAgreement(object));
+  }
+
+  /**
+   * Subjects for n vignettes from options.characters: the pinned one, else a rotation (one character
+   * throughout a story), preferring names with the target sounds when options.character.matchSounds is on.
+   * Draws from its own rng so casting never changes which words a seed picks. No manifest → "person".
+   */
+  function pickCharacters(run, doc, n, story = false) {
+    const { characters = [], character = {}, filters } = run.options;
+    if (!characters.length) return Array(n).fill({ word: 'person' });
+    const pinned = characters.find(c => c.word === character.pinned);
+    if (pinned) return Array(n).fill(pinned);
+    let cast = characters;
+    if (character.matchSounds) {
+      const matching = characters.filter(c => targetSounds(c, filters).length);
+      if (matching.length) cast = matching;
+      else doc.notes.push(say(run, 'note.noCharacterSounds', { summary: summary(run) }));
+    }
+    const order = sample(cast, cast.length, createRng(`${run.options.pageSeed != null ? run.options.pageSeed : run.options.seed}-cast`));
+    return Array.from({ length: n }, (_, i) => order[story ? 0 : i % order.length]);
+  }
+
+  // Why a sentence or story page isn't quite what was asked for
+  function sentenceNotes(run, doc, wanted, { sentences, stranded, nounPool, withAdjective }) {
+    const { options } = run;
+    if (wanted.tense !== doc.grammar.tense) {
+      doc.notes.push(say(run, 'note.tense', {
+        frame: grammarFor(options.language).frames[doc.grammar.frame].label,
+        wanted: say(run, `tense.${wanted.tense}`), tense: say(run, `tense.${doc.grammar.tense}`)
+      }));
+    }
+    if (stranded.length) {
+      doc.notes.push(say(run, 'note.stranded', { verbs: stranded.map(v => v.word).join(', ') }));
+    }
+    const offTarget = [...new Set(sentences.filter(({ object }) => object && !nounPool.includes(object)).map(({ object }) => object.word))];
+    if (offTarget.length) {
+      doc.notes.push(say(run, 'note.offTarget', { objects: offTarget.join(', ') }));
+    }
+    if (options.adjectives && !withAdjective) {
+      doc.notes.push(say(run, 'note.noAdjectives', { summary: summary(run) }));
+    }
+  }
+
+  function sentenceScene(run) {
+    const { options, rng } = run;
+    const missing = needSounds(run);
+    if (missing) return fail(missing);
+
+    // Background: random only for Sentence and Story; plain white for others
+    const backgrounds = options.backgrounds || [];
+    const doc = newSceneDoc(run, 'sentence', backgrounds.length ? backgrounds[Math.floor(rng() * backgrounds.length)] : null);
+    const nSentences = Math.max(1, Math.min(6, parseInt(options.count, 10) || 1));
+    const metrics = sentenceBlockMetrics(nSentences);
+    const { W, H } = metrics;
+
+    // Frame and tense: "I see a ___" pictures nouns only; "I ___ the ___" has no character block
+    const wanted = pageGrammar(doc, options);
+    const picked = pickSentences(run, grammarFor(options.language).frames[doc.grammar.frame], nSentences);
+    if (!picked.ok) return picked;
+    const { sentences } = picked;
+    sentences.forEach(sentence => { sentence.size = groupSize(metrics, sentence.roles, doc.captions); });
+
+    // Each vignette is one box to the layout engine; its blocks (and caption band) scale with it
+    const layout = layoutBoxes(sentences.map(({ size }) => ({ w: size.Gw, h: size.Gh })), { mode: options.layout, margin: 80, rng, language: options.language });
+    if (!layout.ok) return fail(layout.reason);
+
+    const subjects = pickCharacters(run, doc, nSentences);
+    sentences.forEach((sentence, group) => {
+      sentence.subject = subjects[group];
+      const spot = layout.rects[group];
+      const k = spot.w / sentence.size.Gw;
+      placeVignette(run, doc, sentence, { x: spot.x, y: spot.y, w: Math.round(W * k), h: Math.round(H * k), k }, metrics, group);
+      const { verb, adjective, object } = sentence;
+      run.usage.push({ mode: `sentence-${nSentences}`, verb: verb?.word, adjective: adjective?.word, noun: object?.word });
+    });
+
+    sentenceNotes(run, doc, wanted, picked);
+    return { ok: true, doc };
+  }
+
+  // ---- Story strip (ordered comic panels, one character throughout) ----
+  // "First, Sam sips the soup." "Then, she skates." — the character is named once, then a pronoun;
+  // the openers (First, Then, Next, After that … Last) come from the page's language.
+  // Shuffled cut-outs drop the opener (and keep the name) so no panel gives the order away.
+  function storyLine(doc, step, group, { opener = !doc.shuffled, wrap } = {}) {
+    const language = doc.language || 'en';
+    const steps = Array.isArray(doc.panels) ? doc.panels.length : groupMap(doc).size;
+    const words = opener ? openers(grammarFor(language).sequence, steps) : [];
+    return sentenceText(group, wrap, doc.grammar, { pronoun: opener && step > 0, opener: words[step], language });
+  }
+
+  /**
+   * 3–6 panels in reading order, each a vignette of the next step. doc.panels lists them in page order:
+   * [{ step, rect }]. Ordered strips get numbered borders; shuffled ones (options.story.shuffled) are a
+   * cut-out sheet with an empty box to number each panel and a letter for the answer key.
+   */
+  function storyScene(run) {
+    const { options, rng } = run;
+    const missing = needSounds(run);
+    if (missing) return fail(missing);
+
+    const backgrounds = options.backgrounds || [];
+    const doc = newSceneDoc(run, 'story', backgrounds.length ? backgrounds[Math.floor(rng() * backgrounds.length)] : null);
+    const nPanels = Math.max(3, Math.min(6, parseInt(options.count, 10) || 4));
+    const metrics = sentenceBlockMetrics(nPanels);
+    const { W, H } = metrics;
+    const wanted = pageGrammar(doc, options);
+    doc.shuffled = !!(options.story && options.story.shuffled);
+
+    const picked = pickSentences(run, grammarFor(options.language).frames[doc.grammar.frame], nPanels);
+    if (!picked.ok) return picked;
+    const { sentences } = picked;
+    sentences.forEach(sentence => { sentence.size = groupSize(metrics, sentence.roles, doc.captions); });
+
+    // Every panel fits the widest vignette, with padding and a strip on top for the number box
+    const Gw = Math.max(...sentences.map(({ size }) => size.Gw));
+    const Gh = Math.max(...sentences.map(({ size }) => size.Gh));
+    const pad = Math.round(W * 0.15), top = Math.round(W * 0.35);
+    const { tiles, shapes } = cutSheetGrid(nPanels, (top + Gh + pad) / (Gw + pad * 2));
+
+    const steps = [...sentences.keys()];
+    let order = steps;
+    if (doc.shuffled) {
+      order = run.sample(steps, nPanels);
+      if (order.every((step, i) => step === i)) order = [...order.slice(1), order[0]];
+      doc.shapes.push(...shapes);
+    }
+
+    doc.panels = tiles.map((tile, i) => {
+      const gutter = doc.shuffled ? Math.round(tile.w * 0.02) : Math.round(tile.w * 0.015);
+      const rect = { x: Math.round(tile.x + gutter), y: Math.round(tile.y + gutter), w: Math.round(tile.w - gutter * 2), h: Math.round(tile.h - gutter * 2) };
+      return { step: order[i], rect };
+    });
+
+    const subjects = pickCharacters(run, doc, nPanels, true);
+    doc.panels.forEach(({ step, rect }, i) => {
+      const k = rect.w / (Gw + pad * 2);
+      const box = Math.round(top * k * 0.7), inset = Math.round(pad * k * 0.6);
+      if (doc.shuffled) {
+        doc.shapes.push({ type: 'rect', x: rect.x + inset, y: rect.y + inset, w: box, h: box, stroke: '#222', lineWidth: 4 });
+        doc.shapes.push({ type: 'text', text: String.fromCharCode(65 + i), x: rect.x + rect.w - inset, y: rect.y + inset, size: Math.round(box * 0.6), align: 'right', fill: '#555' });
+      } else {
+        doc.shapes.push({ type: 'rect', x: rect.x, y: rect.y, w: rect.w, h: rect.h, stroke: '#222', lineWidth: 10 });
+        doc.shapes.push({ type: 'rect', x: rect.x + inset, y: rect.y + inset, w: box, h: box, fill: '#222', stroke: '#222', lineWidth: 4 });
+        doc.shapes.push({ type: 'text', text: String(step + 1), x: rect.x + inset + box / 2, y: rect.y + inset + Math.round(box * 0.15), size: Math.round(box * 0.75), align: 'center', fill: '#FFFFFF' });
+      }
+
+      const sentence = { ...sentences[step], subject: subjects[step] };
+      const w = Math.round(W * k), h = Math.round(H * k);
+      const x = rect.x + Math.round((rect.w - sentence.size.Gw * k) / 2);
+      placeVignette(run, doc, sentence, { x, y: rect.y + Math.round(top * k), w, h, k }, metrics, step);
+    });
+    // Item order follows the steps, so the targets list and scoring read the story in order
+    doc.items.sort((a, b) => a.group - b.group);
+
+    sentences.forEach(({ verb, adjective, object }) => {
+      run.usage.push({ mode: `story-${nPanels}`, verb: verb?.word, adjective: adjective?.word, noun: object?.word });
+    });
+    if (doc.shuffled) {
+      const letters = steps.map(step => String.fromCharCode(65 + order.indexOf(step)));
+      doc.notes.push(say(run, 'note.storyAnswer', { letters: letters.join(', ') }));
+    }
+    sentenceNotes(run, doc, wanted, picked);
+    return { ok: true, doc };
+  }
+
+  // ---- Descriptive concepts scene (Adj + Noun phrases) ----
+  function descriptiveScene(run) {
+    const { options, rng } = run;
+    const missing = needSounds(run);
+    if (missing) return fail(missing);
+
+    const adjPool  = run.pool('adjectives');
+    const nounPool = run.pool('i-spy');
+    if (!adjPool.length || !nounPool.length) return fail(noneMatch(run, !adjPool.length ? 'adjectives' : 'nouns'));
+
+    const doc = newSceneDoc(run, 'descriptive');
+    const nPhrases = Math.max(1, Math.min(6, parseInt(options.count, 10) || 1));
+    const { W, H, gapVerbObj } = sentenceBlockMetrics(nPhrases);
+    const Gw = W + gapVerbObj + W;
+
+    // Cycle the (usually small) adjective pool so phrases vary as much as possible
+    const adjectives = run.pick(adjPool, adjPool.length);
+    const nouns = run.pick(nounPool, nPhrases);
+    const phrases = nouns.map((noun, i) => ({ adjective: adjectives[i % adjectives.length], noun }));
+
+    const layout = layoutBoxes(phrases.map(() => ({ w: Gw, h: H })), { mode: options.layout, margin: 80, rng, language: options.language });
+    if (!layout.ok) return fail(layout.reason);
+
+    phrases.forEach(({ adjective, noun }, group) => {
+      const spot = layout.rects[group];
+      const k = spot.w / Gw;
+      const w = Math.round(W * k);
+
+      doc.items.push(docItem(run, adjective, 'adjective', { x: spot.x, y: spot.y, w, h: spot.h }, { group, role: 'adjective' }));
+      doc.items.push(docItem(run, noun, 'noun', { x: spot.x + w + Math.round(gapVerbObj * k), y: spot.y, w, h: spot.h }, { group, role: 'object', ...nounAgreement(noun) }));
+
+      run.usage.push({ mode: `descriptive-${nPhrases}`, adjective: adjective.word, noun: noun.word });
+    });
+    return { ok: true, doc };
+  }
+
+  // ---- Other modes (I-spy / Actions / Mixed) ----
+  function pictureScene(run, type) {
+    const { options, rng } = run;
+    const n = Math.max(1, Math.min(24, parseInt(options.count, 10) || 12));
+    const missing = needSounds(run);
+    if (missing) return fail(missing);
+
+    // Pre-check pools for zero results caused by filters
+    if (type === 'i-spy' && !run.pool('i-spy').length) return fail(noneMatch(run, 'nouns'));
+    if (type === 'actions' && !run.pool('actions').length) return fail(noneMatch(run, 'verbs'));
+    if (type === 'mixed' && !run.pool('i-spy').length && !run.pool('actions').length) return fail(noneMatch(run, 'nounsOrVerbs'));
+
+    const doc = newSceneDoc(run, type);
+
+    let selection = [];
+    if (type === 'mixed') {
+      const nouns = run.pick(run.pool('i-spy'), Math.ceil(n * 0.6)).map(x => ({ ...x, kind: 'noun' }));
+      const verbs = run.pick(run.pool('actions'), Math.floor(n * 0.4)).map(x => ({ ...x, kind: 'verb' }));
+      selection = [...nouns, ...verbs];
+    } else {
+      selection = run.pick(run.pool(type), n)
+        .map(x => ({ ...x, kind: type === 'actions' ? 'verb' : 'noun' }));
+    }
+
+    const sizes = selection.map(item => item.kind === 'verb'
+      ? { w: randBetween(280, 420, rng), h: randBetween(180, 260, rng) }
+      : { w: randBetween(360, 560, rng), h: randBetween(220, 320, rng) });
+    const layout = layoutBoxes(sizes, { mode: options.layout, margin: 60, rng, language: options.language });
+    if (!layout.ok) return fail(layout.reason);
+
+    selection.forEach((item, i) => doc.items.push(docItem(run, item, item.kind, layout.rects[i])));
+    run.usage.push({ mode: `${type}-${selection.length}`, words: selection.map(item => item.word) });
+    return { ok: true, doc };
+  }
+
+  // ---- Game boards: bingo cards, caller cards, memory/matching sheets ----
+  // Words come from nouns + verbs so small filter sets still fill a board
+  function gameWords(run) {
+    const missing = needSounds(run);
+    if (missing) return fail(missing);
+    const words = [
+      ...run.pool('i-spy').map(x => ({ ...x, kind: 'noun' })),
+      ...run.pool('actions').map(x => ({ ...x, kind: 'verb' }))
+    ];
+    if (!words.length) return fail(noneMatch(run, 'nounsOrVerbs'));
+    return { ok: true, words };
+  }
+
+  // The caller deck depends only on the base seed, so every card (and every page of a pack) shares it;
+  // for the same reason it doesn't rotate with the practice history
+  function bingoDeck(run, words, cells) {
+    const deck = sample(words, words.length, createRng(`${run.options.seed}-deck`));
+    return deck.slice(0, Math.min(words.length, Math.max(cells, Math.round(cells * 1.6))));
+  }
+
+  function bingoScene(run) {
+    const { options } = run;
+    const game = gameWords(run);
+    if (!game.ok) return game;
+    const { words } = game;
+
+    const { size, free, cells } = bingoBoard(options);
+    if (words.length < cells) {
+      return fail(say(run, 'error.bingoTooFew', { size, cells, n: words.length, theme: run.theme }));
+    }
+
+    const deck = bingoDeck(run, words, cells);
+    const nCards = Math.max(1, Math.min(6, parseInt(options.count, 10) || 1));
+    const cell = 400, header = 220;
+    const layout = layoutBoxes(Array.from({ length: nCards }, () => ({ w: size * cell, h: header + size * cell })), { mode: 'grid', margin: 80, gap: 80, language: options.language });
+    if (!layout.ok) return fail(layout.reason);
+
+    const doc = newSceneDoc(run, 'bingo');
+    doc.deck = deck.map(w => w.word);
+    const seen = options.bingoCards || new Set();
+    let duplicates = 0;
+
+    layout.rects.forEach((box, card) => {
+      // Each card draws its own words from the deck; retry until the word set is new
+      let picks, signature;
+      for (let tries = 0; tries < 50; tries++) {
+        picks = run.sample(deck, cells);
+        signature = picks.map(w => w.word).sort().join('|');
+        if (!seen.has(signature)) break;
+      }
+      if (seen.has(signature)) duplicates++;
+      seen.add(signature);
+
+      const k = box.w / (size * cell);
+      const c = cell * k, top = box.y + header * k;
+      doc.shapes.push({ type: 'rect', x: box.x, y: box.y, w: box.w, h: box.h, stroke: '#222', lineWidth: 8 });
+      doc.shapes.push({ type: 'text', x: box.x + box.w / 2, y: box.y + header * k * 0.22, text: 'BINGO', size: Math.round(140 * k), align: 'center' });
+      for (let i = 1; i <= size; i++) {
+        doc.shapes.push({ type: 'line', x1: box.x, y1: top + (i - 1) * c, x2: box.x + box.w, y2: top + (i - 1) * c, stroke: '#222', lineWidth: 4 });
+        if (i < size) doc.shapes.push({ type: 'line', x1: box.x + i * c, y1: top, x2: box.x + i * c, y2: box.y + box.h, stroke: '#222', lineWidth: 4 });
+      }
+
+      let next = 0;
+      for (let r = 0; r < size; r++) {
+        for (let col = 0; col < size; col++) {
+          const x = box.x + col * c, y = top + r * c;
+          if (free && r === (size - 1) / 2 && col === (size - 1) / 2) {
+            doc.shapes.push({ type: 'text', x: x + c / 2, y: y + c / 2 - 40 * k, text: say(run, 'bingo.free'), size: Math.round(80 * k), align: 'center' });
+            continue;
+          }
+          const w = picks[next++];
+          const pad = Math.round(16 * k);
+          doc.items.push(docItem(run, w, w.kind, { x: Math.round(x + pad), y: Math.round(y + pad), w: Math.round(c - pad * 2), h: Math.round(c - pad * 2) }, { group: card, role: 'cell' }));
+        }
+      }
+    });
+
+    if (duplicates) doc.notes.push(say(run, 'note.bingoRepeats', { cards: nCards, repeats: duplicates }));
+    run.usage.push({ mode: `bingo-${size}x${size}-${nCards}`, words: docWords(doc).map(item => item.word) });
+    return { ok: true, doc };
+  }
+
+  // Calling cards for the bingo deck, one per word, with cut lines
+  function bingoCallerScene(run) {
+    const game = gameWords(run);
+    if (!game.ok) return game;
+
+    const { cells } = bingoBoard(run.options);
+    const deck = bingoDeck(run, game.words, cells);
+    const doc = newSceneDoc(run, 'bingo-caller');
+    doc.deck = deck.map(w => w.word);
+
+    const { tiles, shapes } = cutSheetGrid(deck.length, 1);
+    doc.shapes.push(...shapes);
+    deck.forEach((w, i) => {
+      const t = tiles[i], pad = Math.round(t.w * 0.06);
+      doc.items.push(docItem(run, w, w.kind, { x: Math.round(t.x + pad), y: Math.round(t.y + pad), w: Math.round(t.w - pad * 2), h: Math.round(t.h - pad * 2) }, { label: true }));
+    });
+    return { ok: true, doc };
+  }
+
+  // Memory / matching: each target appears on two cards (picture–picture or picture–word)
+  function memoryScene(run) {
+    const game = gameWords(run);
+    if (!game.ok) return game;
+
+    const nPairs = Math.max(2, Math.min(12, parseInt(run.options.count, 10) || 6));
+    const chosen = run.pick(game.words, nPairs);
+    const pictureWord = run.options.memory === 'picture-word';
+    const cards = run.sample(chosen.flatMap((w, pair) => [
+      { w, pair, face: 'picture' },
+      { w, pair, face: pictureWord ? 'word' : 'picture' }
+    ]), chosen.length * 2);
+
+    const doc = newSceneDoc(run, 'memory');
+    const { tiles, shapes } = cutSheetGrid(cards.length, 4 / 3);
+    doc.shapes.push(...shapes);
+    cards.forEach(({ w, pair, face }, i) => {
+      const t = tiles[i], pad = Math.round(t.w * 0.08);
+      const rect = { x: Math.round(t.x + pad), y: Math.round(t.y + pad), w: Math.round(t.w - pad * 2), h: Math.round(t.h - pad * 2) };
+      // Word faces deliberately have no image so they render as a labelled block
+      const extra = face === 'word' ? { image: null, label: true } : {};
+      doc.items.push(docItem(run, w, w.kind, rect, { group: pair, role: face, ...extra }));
+    });
+
+    if (chosen.length < nPairs) doc.notes.push(say(run, 'note.memoryFew', { n: chosen.length }));
+    run.usage.push({ mode: `memory-${chosen.length}`, words: chosen.map(w => w.word) });
+    return { ok: true, doc };
+  }
+
+  function minimalPairsScene(run) {
+    const { options } = run;
+    const { target, contrast } = options.pairs;
+    const positions = options.filters.positions;
+    if (target === contrast || !positions.length) {
+      return fail(say(run, !positions.length ? 'error.needPosition' : 'error.sameSound'));
+    }
+
+    const nPairs = Math.max(1, Math.min(8, parseInt(options.count, 10) || 4));
+    const found = findMinimalPairs(run.bank, target, contrast, options);
+    const report = contrastReport(run.bank, target, options);
+    const available = report.filter(r => r.pairs > 0).map(r => `/${r.contrast}/ (${r.pairs})`);
+    if (!found.length) {
+      const where = positions.map(p => say(run, `position.${p}`)).join(' · ');
+      return fail(say(run, 'error.noPairs', { target, contrast, positions: where }) +
+        (available.length ? say(run, 'error.pairContrasts', { target, contrasts: available.join(', ') }) : say(run, 'error.noContrasts', { target })));
+    }
+
+    const pairs = run.pick(found, nPairs, pair => pair.target);
+    const W = 500, gap = 100;
+    const layout = layoutBoxes(pairs.map(() => ({ w: W * 2 + gap, h: W })), { mode: options.layout, margin: 80, gap: 60, rng: run.rng, language: options.language });
+    if (!layout.ok) return fail(layout.reason);
+
+    const doc = newSceneDoc(run, 'minimal-pairs');
+    doc.contrast = { target, contrast };
+    pairs.forEach((pair, group) => {
+      const box = layout.rects[group];
+      const k = box.h / W, w = box.h;
+      doc.items.push(docItem(run, pair.target, pair.target.kind, { x: box.x, y: box.y, w, h: box.h }, { group, role: 'target', label: true, phonemes: [target], position: pair.position }));
+      doc.items.push(docItem(run, pair.contrast, pair.contrast.kind, { x: box.x + w + Math.round(gap * k), y: box.y, w, h: box.h }, { group, role: 'contrast', label: true, phonemes: [contrast], position: pair.position }));
+    });
+
+    if (found.length < nPairs) {
+      doc.notes.push(say(run, 'note.fewPairs', { n: found.length, target, contrast }));
+    }
+    const thin = report.filter(r => r.pairs > 0 && r.pairs < nPairs).map(r => `/${r.contrast}/ (${r.pairs})`);
+    if (thin.length) doc.notes.push(say(run, 'note.thinContrasts', { target, n: nPairs, contrasts: thin.join(', ') }));
+    const none = report.filter(r => r.pairs === 0).map(r => `/${r.contrast}/`);
+    if (none.length) doc.notes.push(say(run, 'note.noPairContrasts', { target, contrasts: none.join(', ') }));
+    run.usage.push({ mode: `minimal-pairs-${target}-${contrast}`, words: pairs.flatMap(pair => [pair.target.word, pair.contrast.word]) });
+    return { ok: true, doc };
+  }
+
+  const GENERATORS = {
+    sentence: sentenceScene, story: storyScene, descriptive: descriptiveScene,
+    bingo: bingoScene, 'bingo-caller': bingoCallerScene, memory: memoryScene, 'minimal-pairs': minimalPairsScene
+  };
+
+  /**
+   * Builds one page. Pure: reads only bank + options (plus options.exclude/bingoCards, which packs share,
+   * and options.history, which rotates the targets).
+   * → { ok: true, doc, usage: [events] } | { ok: false, reason }
+   */
+  function generateScene(bank, options) {
+    const opts = { ...defaultOptions(), ...options };
+    opts.filters = { ...defaultOptions().filters, ...options.filters };
+    const type = SCENE_TYPES.includes(opts.type) ? opts.type : 'i-spy';
+    const rng = createRng(opts.pageSeed != null ? opts.pageSeed : opts.seed);
+    const run = { bank, options: opts, rng, usage: [], theme: null };
+    run.theme = opts.themed && !['sentence', 'story', 'minimal-pairs'].includes(type) ? pickTheme(bank, opts, type, rng) : null;
+    run.pool = t => pool(bank, t, opts, run.theme);
+    run.sample = (list, n) => sample(list, n, rng);
+    // Targets: rotated through the pool when there is a history (this page's earlier picks count as its latest uses)
+    const picked = [];
+    run.pick = (list, n, entryOf = x => x) => {
+      if (!opts.history) return run.sample(list, n);
+      const picks = rotationSample(list, n, rng, [...opts.history, ...picked], opts.filters, entryOf);
+      picked.push(...picks.map(x => entryOf(x).word));
+      return picks;
+    };
+
+    const result = (GENERATORS[type] || (r => pictureScene(r, type)))(run);
+    if (!result.ok) return result;
+    result.doc.items.forEach((item, i) => {
+      item.id = i + 1;
+      if (item.label == null) item.label = !!opts.labels;
+    });
+    return { ok: true, doc: result.doc, usage: run.usage };
+  }
+
+  // ---- SVG ----
+  const BLOCK_COLOR = '#EDEFF3';
+  const escapeXml = s => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+
+  const LABEL_FONT = 'bold 56px system-ui, sans-serif';
+  // No text metrics outside a browser: estimate from an average glyph width unless given a measurer
+  const estimateWidth = text => text.length * 56 * 0.58;
+
+  // Same line breaking as the canvas wrapText()
+  function wrapWords(text, maxWidth, measure) {
+    const words = String(text || '').split(/\s+/).filter(Boolean);
+    const fits = line => measure(line) < maxWidth;
+    const lines = [];
+    let cur = words[0] || '';
+    for (let i = 1; i < words.length; i++) {
+      const test = `${cur} ${words[i]}`;
+      if (fits(test)) cur = test;
+      else { lines.push(cur); cur = words[i]; }
+    }
+    lines.push(cur);
+    return lines;
+  }
+
+  // Caption lines for text centred in a box of width w below bottom; shrinks until it fits on two lines
+  function fitCaption(text, x, w, bottom, blockH, measureText) {
+    const wrapAt = size => wrapWords(text, w, t => measureText(t) * size / 56);
+    let size = Math.round(blockH * CAPTION_SIZE);
+    let lines = wrapAt(size);
+    while (lines.length > 2 && size > 24) {
+      size = Math.round(size * 0.85);
+      lines = wrapAt(size);
+    }
+    return { x, y: bottom + Math.round(size * 0.3), w, size, lines };
+  }
+
+  /**
+   * Captions of a page with captions on, worded from the groups' current items so moved, swapped or
+   * deleted pictures re-caption: [{ x, y, w, size, lines }], centred in w. Sentences are captioned under
+   * their blocks, story steps across their panel. measureText measures LABEL_FONT (56px).
+   */
+  function docCaptions(doc, measureText = estimateWidth) {
+    if (!doc.captions) return [];
+    const bounds = group => {
+      const rects = Object.values(group).map(item => item.rect);
+      const left = Math.min(...rects.map(r => r.x));
+      return {
+        left, w: Math.max(...rects.map(r => r.x + r.w)) - left,
+        bottom: Math.max(...rects.map(r => r.y + r.h)), blockH: Math.max(...rects.map(r => r.h))
+      };
+    };
+    if (doc.type === 'sentence') {
+      return docGroups(doc).filter(g => g.verb || g.object).map(g => {
+        const { left, w, bottom, blockH } = bounds(g);
+        return fitCaption(sentenceText(g, undefined, doc.grammar, { language: doc.language }), left, w, bottom, blockH, measureText);
+      });
+    }
+    if (doc.type === 'story') {
+      const groups = groupMap(doc);
+      return (doc.panels || []).filter(({ step }) => groups.has(step)).map(({ step, rect }) => {
+        const { bottom, blockH } = bounds(groups.get(step));
+        const inset = Math.round(rect.w * 0.04);
+        return fitCaption(storyLine(doc, step, groups.get(step)), rect.x + inset, rect.w - inset * 2, bottom, blockH, measureText);
+      });
+    }
+    return [];
+  }
+
+  function svgLabel(x, y, w, label, measure) {
+    return wrapWords(label, w - 32, measure).map((line, i) =>
+      `<text x="${x + 16}" y="${y + 16 + i * 64}" font-family="system-ui, sans-serif" font-weight="bold" font-size="56" fill="#111" dominant-baseline="hanging">${escapeXml(line)}</text>`
+    ).join('');
+  }
+
+  function svgCaption({ x, y, w, size, lines }) {
+    return lines.map((line, i) =>
+      `<text x="${x + w / 2}" y="${y + Math.round(i * size * 1.2)}" font-family="system-ui, sans-serif" font-weight="bold" font-size="${size}" fill="#111" text-anchor="middle" dominant-baseline="hanging">${escapeXml(line)}</text>`
+    ).join('');
+  }
+
+  function svgShape(s) {
+    const stroke = `stroke="${s.stroke || '#222'}" stroke-width="${s.lineWidth || 2}"`;
+    if (s.type === 'rect') return `<rect x="${s.x}" y="${s.y}" width="${s.w}" height="${s.h}" fill="${s.fill || 'none'}" ${stroke}/>`;
+    if (s.type === 'line') {
+      const dash = s.dash && s.dash.length ? ` stroke-dasharray="${s.dash.join(' ')}"` : '';
+      return `<line x1="${s.x1}" y1="${s.y1}" x2="${s.x2}" y2="${s.y2}" ${stroke}${dash}/>`;
+    }
+    if (s.type === 'text') {
+      const anchor = { center: 'middle', right: 'end' }[s.align] || 'start';
+      return `<text x="${s.x}" y="${s.y}" font-family="system-ui, sans-serif" font-weight="bold" font-size="${s.size || 64}" fill="${s.fill || '#111'}" text-anchor="${anchor}" dominant-baseline="hanging">${escapeXml(s.text)}</text>`;
+    }
+    return '';
+  }
+
+  /**
+   * One A4 page as SVG, drawn like the canvas: background, shapes, then items
+   * (picture if imageHref gives one, else a fallback block honouring doc.outline; labels and captions as <text>).
+   * imageHref(path) → URL/data URI or null; the default links the path as-is.
+   * measureText(text) → width in px of text in LABEL_FONT; pass the canvas's so labels wrap identically.
+   * Each item is its own <g> so it can be moved or retyped in a vector editor.
+   */
+  function sceneToSvg(doc, { imageHref = path => path, measureText = estimateWidth } = {}) {
+    const out = [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="210mm" height="297mm" viewBox="0 0 ${PAGE.w} ${PAGE.h}">`,
+      `<rect width="${PAGE.w}" height="${PAGE.h}" fill="#FFFFFF"/>`
+    ];
+    const bg = doc.background && imageHref(doc.background);
+    if (bg) out.push(`<image xlink:href="${escapeXml(bg)}" x="0" y="0" width="${PAGE.w}" height="${PAGE.h}" preserveAspectRatio="xMidYMid slice"/>`);
+    (doc.shapes || []).forEach(s => out.push(svgShape(s)));
+    for (const item of doc.items) {
+      const { x, y, w, h } = item.rect;
+      out.push(`<g id="item-${item.id}" data-word="${escapeXml(item.word)}">`);
+      const href = item.image && imageHref(item.image);
+      if (href) {
+        out.push(`<image xlink:href="${escapeXml(href)}" x="${x + 16}" y="${y + 16}" width="${Math.max(1, w - 32)}" height="${Math.max(1, h - 32)}" preserveAspectRatio="xMidYMid meet"/>`);
+      } else {
+        const outline = item.kind === 'character' || doc.outline ? ' stroke="#C8CEDA" stroke-width="4"' : '';
+        out.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="${BLOCK_COLOR}"${outline}/>`);
+      }
+      if (item.label || item.kind === 'character') out.push(svgLabel(x, y, w, item.word, measureText));
+      out.push('</g>');
+    }
+    docCaptions(doc, measureText).forEach(c => out.push(svgCaption(c)));
+    out.push('</svg>');
+    return out.join('\n');
+  }
+
+  return {
+    PAGE, SCENE_TYPES, LABEL_FONT, LAYOUT_MODES, MIN_LAYOUT_SIDE, PHONEME_SPELLINGS,
+    defaultOptions, normalizeBank, normalizeCharacters,
+    hashSeed, mulberry32, createRng, sample,
+    layoutBoxes, gridFit, cutSheetGrid,
+    matchesSyllables, targetSounds, matchesSounds, passesFilters, wordList, pool, filterSummary,
+    categoryCounts, bingoBoard, pickTheme,
+    takesObject, plausibleObjects, verbsWithoutObjects,
+    findMinimalPairs, contrastReport, rotationSample, targetWords, usageWords, coverage,
+    generateScene, docWords, groupMap, docGroups, nounAgreement, docSentences, sentenceGrammar, sentenceText, phraseText, storyLine, docCaptions, entryTags,
+    sceneToSvg
+  };
+});
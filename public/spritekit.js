@@ -0,0 +1,156 @@
+// ====== Speech Scenes — spritekit.js ======
+// Placeholder sprites and ZIP packaging, shared by sprite_maker.html and main.js (asset audit).
+// Works as a browser global (window.SpriteKit) and as a CommonJS module; makeBlockBlob needs a DOM canvas.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.SpriteKit = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Sprite Maker defaults: nouns blue, verbs yellow (adjectives green, characters orange for audit placeholders)
+  const SPRITE_COLORS = { noun: '#3C91E6', verb: '#F5D547', adjective: '#8BD17C', character: '#F29E4C' };
+  const SPRITE_DEFAULTS = { size: 512, fontPx: 64, outline: false };
+
+  function sanitizeFilename(s) {
+    return String(s).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  }
+
+  // Image type for a sprite path, so a placeholder named ".jpg" really is a JPEG
+  function spriteMimeType(path) {
+    return /\.jpe?g$/i.test(path || '') ? 'image/jpeg' : 'image/png';
+  }
+
+  // Solid colour square with the label centred and wrapped; resolves to a Blob of the given type
+  function makeBlockBlob(label, size, fontPx, outline, fillHex, type = 'image/png') {
+    return new Promise(resolve => {
+      const cvs = document.createElement('canvas');
+      cvs.width = size; cvs.height = size;
+      const ctx = cvs.getContext('2d');
+
+      // Background
+      ctx.fillStyle = fillHex;
+      ctx.fillRect(0, 0, size, size);
+
+      // Outline
+      if (outline) {
+        ctx.lineWidth = Math.max(6, Math.floor(size * 0.01));
+        ctx.strokeStyle = '#333';
+        ctx.strokeRect(0, 0, size, size);
+      }
+
+      // Text
+      ctx.fillStyle = '#111';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.font = `bold ${fontPx}px system-ui,Segoe UI,Roboto,sans-serif`;
+
+      // Wrap long labels
+      const maxWidth = size * 0.86;
+      const words = String(label).split(/\s+/).filter(Boolean);
+      const lines = [];
+      let cur = words[0] || '';
+      for (let i = 1; i < words.length; i++) {
+        const t = cur + ' ' + words[i];
+        if (ctx.measureText(t).width <= maxWidth) cur = t;
+        else { lines.push(cur); cur = words[i]; }
+      }
+      lines.push(cur);
+
+      const lineHeight = fontPx * 1.15;
+      const total = lines.length * lineHeight;
+      let y = size / 2 - total / 2 + lineHeight / 2;
+      for (const line of lines) { ctx.fillText(line, size / 2, y, maxWidth); y += lineHeight; }
+
+      cvs.toBlob(blob => resolve(blob), type);
+    });
+  }
+
+  // ---- ZIP (store only) ----
+  // Sprites are already compressed, so entries are stored as-is: no deflate library needed.
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // MS-DOS time and date words, as ZIP headers store them
+  function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+  }
+
+  /**
+   * files: [{ name: 'sprites/food/food_apple.png', data: Uint8Array }] → Uint8Array of a .zip
+   * Names keep their folders, so unzipping into public/ puts every file at its word-bank path.
+   */
+  function buildZip(files, date = new Date()) {
+    const enc = new TextEncoder();
+    const { time, day } = dosDateTime(date);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = enc.encode(file.name);
+      const data = file.data;
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);  // local file header
+      local.setUint16(4, 20, true);          // version needed
+      local.setUint16(6, 0x0800, true);      // UTF-8 names
+      local.setUint16(8, 0, true);           // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, day, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      locals.push(new Uint8Array(local.buffer), name, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014B50, true); // central directory header
+      central.setUint16(4, 20, true);         // version made by
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, day, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);    // where the local header starts
+      centrals.push(new Uint8Array(central.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centrals.reduce((n, part) => n + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);       // end of central directory
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+    let at = 0;
+    for (const part of parts) { out.set(part, at); at += part.length; }
+    return out;
+  }
+
+  return { SPRITE_COLORS, SPRITE_DEFAULTS, sanitizeFilename, spriteMimeType, makeBlockBlob, crc32, buildZip };
+});
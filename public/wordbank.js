@@ -0,0 +1,441 @@
+// ====== Speech Scenes — wordbank.js ======
+// Shared by main.js, sprite_maker.html (as a plain <script>, exposing window.WordBank)
+// and tools/lint-words.js (as a CommonJS module).
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.WordBank = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  // === PHONEME REGISTRY ===
+  // Canonical phoneme registry: IPA consonants commonly used in (GenAm/BrE) English.
+  // Each ID lists the other spellings the word bank may use for it (digraphs,
+  // ligatures, narrow IPA) so every tag resolves to exactly one checklist entry.
+  const PHONEME_REGISTRY = [
+    { id: "p",  aliases: [] },
+    { id: "b",  aliases: [] },
+    { id: "t",  aliases: [] },
+    { id: "d",  aliases: [] },
+    { id: "k",  aliases: ["c", "ck"] },
+    { id: "g",  aliases: ["ɡ"] },
+    { id: "f",  aliases: ["ph"] },
+    { id: "v",  aliases: [] },
+    { id: "θ",  aliases: ["th"] },
+    { id: "ð",  aliases: ["dh"] },
+    { id: "s",  aliases: [] },
+    { id: "z",  aliases: [] },
+    { id: "ʃ",  aliases: ["sh"] },
+    { id: "ʒ",  aliases: ["zh"] },
+    { id: "h",  aliases: [] },
+    { id: "tʃ", aliases: ["ch", "tch", "ʧ", "t͡ʃ"] },
+    { id: "dʒ", aliases: ["dzh", "ʤ", "d͡ʒ"] },
+    { id: "m",  aliases: [] },
+    { id: "n",  aliases: [] },
+    { id: "ŋ",  aliases: ["ng"] },
+    { id: "l",  aliases: [] },
+    { id: "r",  aliases: ["ɹ", "ɾ"] },
+    { id: "j",  aliases: ["y"] },
+    { id: "w",  aliases: [] }
+  ];
+
+  // Onset clusters (2-letter)
+  const CLUSTERS_2 = [
+    "bl","br","cl","cr","dr","fl","fr","gl","gr","pl","pr","sc","sk","sl","sm","sn","sp","st","sw","tr","tw"
+  ];
+
+  // Common 3-letter clusters
+  const CLUSTERS_3 = ["scr","spl","spr","squ","str"];
+
+  // === LANGUAGE INVENTORIES ===
+  /**
+   * A language's phonemes (registry format) and letter clusters. The English registry above is built in;
+   * other language packs (data/languages.json) bring their own.
+   * → { language, phonemes, aliases: Map(spelling → ID), canonical(tag) → ID|null, clusters2, clusters3 }
+   */
+  function createInventory({ language = "en", phonemes = PHONEME_REGISTRY, clusters = [...CLUSTERS_2, ...CLUSTERS_3] } = {}) {
+    // Any spelling (ID or alias, lowercased) → canonical ID
+    const aliases = new Map();
+    phonemes.forEach(({ id, aliases: spellings = [] }) => {
+      aliases.set(id, id);
+      spellings.forEach(a => aliases.set(a.toLowerCase(), id));
+    });
+    const canonical = tag => aliases.get(String(tag || "").trim().toLowerCase().replace(/^\/|\/$/g, "")) || null;
+    return {
+      language, phonemes, aliases, canonical,
+      clusters2: clusters.filter(c => c.length === 2),
+      clusters3: clusters.filter(c => c.length === 3)
+    };
+  }
+
+  const ENGLISH_INVENTORY = createInventory();
+  const PHONEME_ALIASES = ENGLISH_INVENTORY.aliases;
+
+  // A language pack's inventory; packs without "phonemes" (English) use the built-in registry
+  function packInventory(pack) {
+    if (!pack || !Array.isArray(pack.phonemes)) return ENGLISH_INVENTORY;
+    return createInventory({ language: pack.code, phonemes: pack.phonemes, clusters: pack.clusters || [] });
+  }
+
+  // Returns the canonical ID for a tag, or null if the English registry doesn't know it
+  function canonicalPhoneme(tag) {
+    return ENGLISH_INVENTORY.canonical(tag);
+  }
+
+  // === PRONUNCIATIONS ===
+  // ARPAbet (CMU Pronouncing Dictionary) → IPA. Stress digits are dropped, except that
+  // unstressed AH/ER are the reduced vowels ə/ɚ.
+  const ARPABET = {
+    P: "p", B: "b", T: "t", D: "d", K: "k", G: "g", F: "f", V: "v", TH: "θ", DH: "ð",
+    S: "s", Z: "z", SH: "ʃ", ZH: "ʒ", HH: "h", CH: "tʃ", JH: "dʒ", M: "m", N: "n", NG: "ŋ",
+    L: "l", R: "r", Y: "j", W: "w",
+    AA: "ɑ", AE: "æ", AH: "ʌ", AO: "ɔ", AW: "aʊ", AY: "aɪ", EH: "ɛ", ER: "ɝ", EY: "eɪ",
+    IH: "ɪ", IY: "i", OW: "oʊ", OY: "ɔɪ", UH: "ʊ", UW: "u"
+  };
+
+  const RHOTIC_VOWELS = ["ɝ", "ɚ"];
+
+  // ["CH", "AO1", "K", ...] → "tʃ ɔ k ..." (the word bank's "pronunciation" format); null if a phone is unknown
+  function arpabetToIpa(phones) {
+    const out = [];
+    for (const phone of phones) {
+      const [, base, stress] = String(phone).toUpperCase().match(/^([A-Z]+)([012]?)$/) || [];
+      if (!ARPABET[base]) return null;
+      if (stress === "0" && base === "AH") out.push("ə");
+      else if (stress === "0" && base === "ER") out.push("ɚ");
+      else out.push(ARPABET[base]);
+    }
+    return out.join(" ");
+  }
+
+  /**
+   * Sounds of a pronunciation ("tʃ ɔ k l ə t"): every segment the inventory knows is a consonant,
+   * anything else a vowel (one syllable each). Consonants before the first vowel are initial,
+   * after the last vowel final, the rest medial. R-coloured vowels (ɝ, ɚ) also count as a vocalic /r/.
+   * → { syllables, consonants: [{ phoneme, position }], onset: [ids], coda: [ids] }
+   */
+  function soundsOf(pronunciation, inventory = ENGLISH_INVENTORY) {
+    const segs = String(pronunciation || "").trim().split(/\s+/).filter(Boolean);
+    const ids = segs.map(s => inventory.canonical(s));
+    const vowels = ids.map((id, i) => id ? -1 : i).filter(i => i >= 0);
+    const first = vowels.length ? vowels[0] : segs.length;
+    const last = vowels.length ? vowels[vowels.length - 1] : -1;
+    const consonants = [];
+    ids.forEach((id, i) => {
+      if (id) consonants.push({ phoneme: id, position: i < first ? "initial" : i > last ? "final" : "medial" });
+      else if (RHOTIC_VOWELS.includes(segs[i])) consonants.push({ phoneme: "r", position: i === last ? "final" : "medial" });
+    });
+    return {
+      syllables: vowels.length,
+      consonants,
+      onset: consonants.filter(c => c.position === "initial").map(c => c.phoneme),
+      coda: consonants.filter(c => c.position === "final").map(c => c.phoneme)
+    };
+  }
+
+  /**
+   * Letter clusters at the start or end of a word, kept only where the sounds back them up:
+   * "school" has an initial "sc" (s k), "scissors" doesn't (s ɪ). → [{ cluster, position }]
+   */
+  function spelledClusters(word, sounds, inventory = ENGLISH_INVENTORY) {
+    const letters = String(word).toLowerCase().replace(/[^a-z]/g, "");
+    const known = [...inventory.clusters3, ...inventory.clusters2];
+    const found = [];
+    const onset = known.find(cl => letters.startsWith(cl));
+    if (onset && sounds.onset.length >= 2) found.push({ cluster: onset, position: "initial" });
+    const coda = known.find(cl => letters.endsWith(cl));
+    if (coda && sounds.coda.length >= 2) found.push({ cluster: coda, position: "final" });
+    return found;
+  }
+
+  // === WORD ENTRY SCHEMA ===
+  const POSITIONS = ["initial", "medial", "final"];
+  const WORD_CLASSES = ["nouns", "verbs", "adjectives"]; // adjectives is optional
+  // How a verb takes its object: "sips the milk", "laughs", "sits on the chair"
+  const VERB_FRAMES = ["transitive", "intransitive", "prepositional"];
+  const VERB_FIELDS = ["frame", "preposition", "objects", "objectCategories"];
+  // Grammatical number of a noun: "the shoes" are plural, "some milk" is mass (grammar.js guesses when unset)
+  const NOUN_NUMBERS = ["singular", "plural", "mass"];
+  // Grammatical gender, for languages whose articles and adjectives agree with it (el/la, le/la)
+  const NOUN_GENDERS = ["masculine", "feminine"];
+
+  const WORD_ENTRY_SCHEMA = {
+    word:       { type: "string",  required: true },
+    syllables:  { type: "integer", required: true, min: 1, max: 8 },
+    // Target sounds, each with the word position(s) it's practised in:
+    // [{ phoneme: "tʃ", positions: ["initial"] }, { phoneme: "k", positions: ["medial"] }]
+    sounds:     { type: "array",   items: "object", minItems: 1 },
+    // Legacy single-position tags; migrateWordBank() turns them into "sounds"
+    position:   { type: "string",  enum: POSITIONS },
+    phonemes:   { type: "array",   items: "string", minItems: 1 },
+    source:     { type: "string" },
+    slug:       { type: "string",  required: true, pattern: /^[a-z0-9]+(?:[-_][a-z0-9]+)*$/ },
+    image:      { type: "string",  required: true, pattern: /^sprites\/[a-z]+\/[a-z]+_[a-z0-9_-]+\.png$/ },
+    categories: { type: "array",   items: "string" },
+    pronunciation: { type: "string" }, // optional, space-separated phonemes ("s ɪ p"); used for minimal pairs
+    clusters:   { type: "array",   items: "object" }, // optional, [{ cluster: "st", position: "initial" }]
+    review:     { type: "boolean" }, // set by tools/import-words.js when the tags are a spelling-based guess
+    number:     { type: "string",  enum: NOUN_NUMBERS }, // nouns only
+    gender:     { type: "string",  enum: NOUN_GENDERS }, // nouns only
+    // Verbs only: sentence frame plus the nouns (by word or category) that make sense as its object
+    frame:            { type: "string",  enum: VERB_FRAMES },
+    preposition:      { type: "string" },
+    objects:          { type: "array",   items: "string" },
+    objectCategories: { type: "array",   items: "string" }
+  };
+
+  // sprites/<folder>/<prefix>_<slug>.png — folder → file prefix
+  const IMAGE_FOLDERS = {
+    actions: "act", verbs: "verb", descriptors: "adj",
+    animals: "ani", body: "body", clothing: "clo", food: "food", household: "house",
+    nature: "nat", objects: "obj", people: "peo", places: "place", shapes: "shape",
+    tech: "tech", tools: "tool", toys: "toy", transport: "tr"
+  };
+  // Which folders each word class is expected to live in (anything else is a warning)
+  const CLASS_FOLDERS = {
+    verbs: ["actions", "verbs"],
+    adjectives: ["descriptors"],
+    nouns: Object.keys(IMAGE_FOLDERS).filter(f => !["actions", "verbs", "descriptors"].includes(f))
+  };
+
+  function typeOf(v) {
+    if (Array.isArray(v)) return "array";
+    if (Number.isInteger(v)) return "integer";
+    return typeof v;
+  }
+
+  function slugFor(word) {
+    return String(word).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  }
+
+  /**
+   * Validates a word bank object against a language's inventory (default English).
+   * → { fatal, errors: [{ path, message }], warnings: [{ path, message }], counts: { nouns, verbs, adjectives } }
+   * fatal means the bank can't be used at all (missing nouns/verbs arrays).
+   */
+  function validateWordBank(bank, inventory = ENGLISH_INVENTORY) {
+    const errors = [], warnings = [];
+    const err  = (path, message) => errors.push({ path, message });
+    const warn = (path, message) => warnings.push({ path, message });
+
+    if (!bank || typeof bank !== "object" || Array.isArray(bank)) {
+      err("(root)", "word bank must be a JSON object");
+      return { fatal: true, errors, warnings, counts: {} };
+    }
+    for (const cls of ["nouns", "verbs"]) {
+      if (!Array.isArray(bank[cls])) err(cls, `"${cls}" must be an array`);
+    }
+    if (bank.adjectives !== undefined && !Array.isArray(bank.adjectives)) err("adjectives", '"adjectives" must be an array when present');
+    if (errors.length) return { fatal: true, errors, warnings, counts: {} };
+
+    // Verb relations point into the noun list
+    const nounWords = new Set(bank.nouns.map(n => n && n.word));
+    const nounCategories = new Set(bank.nouns.flatMap(n => (n && Array.isArray(n.categories)) ? n.categories : []));
+
+    const counts = {};
+    for (const cls of WORD_CLASSES) {
+      const list = bank[cls] || [];
+      counts[cls] = list.length;
+      const slugs = new Map(); // slug → first index
+
+      list.forEach((entry, i) => {
+        const path = `${cls}[${i}]${entry && entry.word ? ` "${entry.word}"` : ""}`;
+        if (!entry || typeof entry !== "object" || Array.isArray(entry)) { err(path, "entry must be an object"); return; }
+
+        // Field types, required fields, enums and patterns
+        for (const [field, rule] of Object.entries(WORD_ENTRY_SCHEMA)) {
+          const v = entry[field];
+          if (v === undefined || v === null || v === "") {
+            if (rule.required) err(path, `missing "${field}"`);
+            continue;
+          }
+          const t = typeOf(v);
+          if (t !== rule.type && !(rule.type === "integer" && t === "number")) { err(path, `"${field}" must be ${rule.type}, got ${t}`); continue; }
+          if (rule.type === "integer" && !Number.isInteger(v)) { err(path, `"${field}" must be a whole number`); continue; }
+          if (rule.min != null && v < rule.min) err(path, `"${field}" must be at least ${rule.min}`);
+          if (rule.max != null && v > rule.max) err(path, `"${field}" must be at most ${rule.max}`);
+          if (rule.enum && !rule.enum.includes(v)) err(path, `"${field}" must be one of ${rule.enum.join(", ")} (got "${v}")`);
+          if (rule.pattern && !rule.pattern.test(v)) err(path, `"${field}" "${v}" doesn't match ${rule.pattern}`);
+          if (rule.type === "array") {
+            if (rule.minItems && v.length < rule.minItems) err(path, `"${field}" must not be empty`);
+            if (v.some(x => typeOf(x) !== rule.items)) err(path, `"${field}" must only contain ${rule.items}s`);
+          }
+        }
+        for (const field of Object.keys(entry)) {
+          if (!WORD_ENTRY_SCHEMA[field]) warn(path, `unknown field "${field}"`);
+        }
+
+        if (Array.isArray(entry.phonemes)) {
+          const unknown = entry.phonemes.filter(p => typeof p === "string" && !inventory.canonical(p));
+          if (unknown.length) err(path, `unknown phoneme tag${unknown.length > 1 ? "s" : ""} ${unknown.map(p => `"${p}"`).join(", ")}`);
+        }
+
+        if (Array.isArray(entry.sounds)) {
+          const seen = new Set();
+          entry.sounds.forEach(sound => {
+            if (!sound || typeof sound !== "object" || Array.isArray(sound)) { err(path, '"sounds" must only contain { phoneme, positions } objects'); return; }
+            const id = inventory.canonical(sound.phoneme);
+            if (!id) err(path, `unknown phoneme tag "${sound.phoneme}"`);
+            else if (seen.has(id)) warn(path, `/${id}/ is listed twice in "sounds"`);
+            seen.add(id);
+            const positions = Array.isArray(sound.positions) ? sound.positions : [];
+            if (!positions.length) err(path, `/${sound.phoneme}/ needs at least one position (${POSITIONS.join(", ")})`);
+            positions.filter(p => !POSITIONS.includes(p)).forEach(p => err(path, `/${sound.phoneme}/ has unknown position "${p}"`));
+          });
+          const legacy = ["position", "phonemes", "source"].filter(f => entry[f] !== undefined);
+          if (legacy.length) warn(path, `${legacy.map(f => `"${f}"`).join(", ")} ignored: "sounds" replaces single-position tags`);
+        } else if (entry.phonemes !== undefined || entry.position !== undefined) {
+          if (entry.position === undefined) err(path, 'missing "position"');
+          if (entry.phonemes === undefined) err(path, 'missing "phonemes"');
+          warn(path, 'single-position tags; migrated to "sounds" on load (node tools/migrate-words.js rewrites the file)');
+        } else {
+          err(path, 'missing "sounds"');
+        }
+
+        if (Array.isArray(entry.clusters)) {
+          entry.clusters.filter(c => c && typeof c === "object").forEach(c => {
+            if (![...inventory.clusters2, ...inventory.clusters3].includes(c.cluster)) err(path, `unknown cluster "${c.cluster}"`);
+            if (!POSITIONS.includes(c.position)) err(path, `cluster "${c.cluster}" needs a position (${POSITIONS.join(", ")})`);
+          });
+        }
+        if (entry.review === true) warn(path, "flagged for review: syllables and sounds were estimated from the spelling");
+
+        // source is conventionally "<tag>-<position>"
+        if (typeof entry.source === "string" && POSITIONS.includes(entry.position)) {
+          const m = entry.source.match(/^(.+)-(initial|medial|final)$/);
+          if (m && m[2] !== entry.position) warn(path, `source "${entry.source}" disagrees with position "${entry.position}"`);
+        }
+
+        if (typeof entry.slug === "string") {
+          if (slugs.has(entry.slug)) err(path, `duplicate slug "${entry.slug}" (also ${cls}[${slugs.get(entry.slug)}])`);
+          else slugs.set(entry.slug, i);
+          // Other languages reuse the English sprites, so their slugs name the picture rather than the word
+          if (inventory.language === "en" && typeof entry.word === "string" && slugFor(entry.word) !== entry.slug) {
+            warn(path, `slug "${entry.slug}" differs from the word (expected "${slugFor(entry.word)}")`);
+          }
+        }
+
+        // sprites/<folder>/<prefix>_<slug>.png
+        const img = typeof entry.image === "string" && entry.image.match(/^sprites\/([^/]+)\/([^_/]+)_(.+)\.png$/);
+        if (img) {
+          const [, folder, prefix, fileSlug] = img;
+          if (!IMAGE_FOLDERS[folder]) warn(path, `image folder "${folder}" isn't a known sprite folder`);
+          else if (IMAGE_FOLDERS[folder] !== prefix) err(path, `image in "${folder}/" should be named ${IMAGE_FOLDERS[folder]}_<slug>.png (got ${prefix}_…)`);
+          if (typeof entry.slug === "string" && fileSlug !== entry.slug) err(path, `image file "${fileSlug}" doesn't match slug "${entry.slug}"`);
+          if (IMAGE_FOLDERS[folder] && !CLASS_FOLDERS[cls].includes(folder)) warn(path, `${cls} normally live in ${CLASS_FOLDERS[cls].join("/")}, not "${folder}/"`);
+        }
+
+        if (Array.isArray(entry.categories) && !entry.categories.length) warn(path, "no categories");
+
+        if (entry.number !== undefined && cls !== "nouns") warn(path, '"number" only applies to nouns');
+        if (entry.gender !== undefined && cls !== "nouns") warn(path, '"gender" only applies to nouns');
+
+        if (cls !== "verbs") {
+          const stray = VERB_FIELDS.filter(f => entry[f] !== undefined);
+          if (stray.length) warn(path, `${stray.map(f => `"${f}"`).join(", ")} only apply to verbs`);
+        } else {
+          const objects = Array.isArray(entry.objects) ? entry.objects : [];
+          const objectCategories = Array.isArray(entry.objectCategories) ? entry.objectCategories : [];
+          if (!entry.frame) warn(path, 'no "frame"; sentence scenes will draw it without an object');
+          if (entry.frame === "prepositional" && !entry.preposition) err(path, 'prepositional verbs need a "preposition"');
+          if (entry.preposition && entry.frame !== "prepositional") warn(path, `"preposition" is ignored unless the frame is "prepositional"`);
+          if (entry.frame === "intransitive" && (objects.length || objectCategories.length)) warn(path, "intransitive verbs don't take objects");
+          if (["transitive", "prepositional"].includes(entry.frame) && !objects.length && !objectCategories.length) {
+            warn(path, 'no "objects" or "objectCategories"; sentence scenes can\'t find it an object');
+          }
+          objects.filter(w => typeof w === "string" && !nounWords.has(w)).forEach(w => warn(path, `object "${w}" isn't a noun in the bank`));
+          objectCategories.filter(c => typeof c === "string" && !nounCategories.has(c)).forEach(c => warn(path, `no noun has the object category "${c}"`));
+        }
+      });
+    }
+    return { fatal: false, errors, warnings, counts };
+  }
+
+  // === MIGRATION ===
+  // Entries written before per-sound positions carry one "position" for all of their "phonemes",
+  // and words practised in two positions were listed twice (sock as s-initial and k-final).
+  // Rewrites those entries to "sounds" in place and merges the repeats into the first entry.
+  // → [{ path, message }] describing what changed
+  function migrateWordBank(bank, inventory = ENGLISH_INVENTORY) {
+    const notes = [];
+    for (const cls of WORD_CLASSES) {
+      const list = Array.isArray(bank[cls]) ? bank[cls] : null;
+      if (!list) continue;
+      const byWord = new Map(); // lowercased word → kept entry
+      const kept = [];
+      list.forEach((entry, i) => {
+        if (!entry || typeof entry !== "object") { kept.push(entry); return; }
+        const path = `${cls}[${i}] "${entry.word}"`;
+        if (!Array.isArray(entry.sounds) && Array.isArray(entry.phonemes) && POSITIONS.includes(entry.position)) {
+          const sounds = [];
+          entry.phonemes.forEach(tag => addSound(sounds, inventory.canonical(tag) || String(tag), [entry.position]));
+          // "sounds" takes the place of "position" so the fields keep their order in the file
+          const fields = Object.entries(entry);
+          fields.forEach(([field]) => delete entry[field]);
+          for (const [field, value] of fields) {
+            if (field === "position") entry.sounds = sounds;
+            else if (field !== "phonemes" && field !== "source") entry[field] = value;
+          }
+          notes.push({ path, message: `tags moved to "sounds" (${describeSounds(entry.sounds)})` });
+        }
+        const key = String(entry.word || "").toLowerCase();
+        const first = key && byWord.get(key);
+        if (!first) {
+          if (key) byWord.set(key, entry);
+          kept.push(entry);
+          return;
+        }
+        notes.push({ path, message: `merged into the first "${first.word}": ${mergeEntry(first, entry).join("; ") || "nothing new"}` });
+      });
+      bank[cls] = kept;
+    }
+    return notes;
+  }
+
+  function addSound(sounds, phoneme, positions) {
+    const sound = sounds.find(s => s.phoneme === phoneme);
+    if (!sound) { sounds.push({ phoneme, positions: POSITIONS.filter(p => positions.includes(p)) }); return; }
+    sound.positions = POSITIONS.filter(p => sound.positions.includes(p) || positions.includes(p));
+  }
+
+  function describeSounds(sounds) {
+    return sounds.map(s => `/${s.phoneme}/ ${s.positions.join("+")}`).join(", ");
+  }
+
+  // Folds a repeated entry into the kept one; the kept entry wins where they disagree
+  function mergeEntry(into, from) {
+    const changes = [];
+    (from.sounds || []).forEach(s => addSound(into.sounds = into.sounds || [], s.phoneme, s.positions));
+    changes.push(`sounds ${describeSounds(into.sounds)}`);
+    for (const field of ["categories", "objects", "objectCategories"]) {
+      const extra = (from[field] || []).filter(v => !(into[field] || []).includes(v));
+      if (extra.length) { into[field] = [...(into[field] || []), ...extra]; changes.push(`${field} + ${extra.join(", ")}`); }
+    }
+    if (Array.isArray(from.clusters)) {
+      const has = c => (into.clusters || []).some(k => k.cluster === c.cluster && k.position === c.position);
+      const extra = from.clusters.filter(c => !has(c));
+      if (extra.length) into.clusters = [...(into.clusters || []), ...extra];
+    }
+    for (const [field, value] of Object.entries(from)) {
+      if (into[field] === undefined) { into[field] = value; changes.push(`${field} "${value}"`); }
+      else if (typeof value !== "object" && into[field] !== value) changes.push(`kept ${field} "${into[field]}" over "${value}"`);
+    }
+    return changes;
+  }
+
+  // Plain-text report, one issue per line
+  function formatReport(result) {
+    const lines = [];
+    for (const e of result.errors) lines.push(`error    ${e.path}: ${e.message}`);
+    for (const w of result.warnings) lines.push(`warning  ${w.path}: ${w.message}`);
+    lines.push(`${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+    return lines.join("\n");
+  }
+
+  return {
+    PHONEME_REGISTRY, PHONEME_ALIASES, canonicalPhoneme, CLUSTERS_2, CLUSTERS_3,
+    createInventory, ENGLISH_INVENTORY, packInventory,
+    ARPABET, arpabetToIpa, soundsOf, spelledClusters,
+    POSITIONS, WORD_CLASSES, VERB_FRAMES, NOUN_NUMBERS, NOUN_GENDERS, WORD_ENTRY_SCHEMA, IMAGE_FOLDERS,
+    slugFor, validateWordBank, migrateWordBank, formatReport
+  };
+});
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+// ====== Speech Scenes — word importer ======
+// Usage: node tools/import-words.js <words.txt|words.csv> [options]
+//   A plain list has one word per line (# starts a comment). A CSV needs a header row with a
+//   "word" column and may add: class (noun/verb/adjective), categories (separated by ;),
+//   target ("k-final", "k" or "final"), folder (sprite folder) and image.
+//   --class <class>     word class for rows without one (default: nouns)
+//   --categories <list> categories for rows without any, comma-separated
+//   --dict <file>       pronunciation dictionary in CMU format (default: tools/data/cmudict-mini.txt)
+//   --words <file>      word bank to merge into (default: public/data/words-library.json)
+//   --update            also refresh syllables, sounds, pronunciation and clusters of words already in the bank
+//   --write             save the merged bank (default: preview only); --out <file> saves it elsewhere
+// Every word is looked up in the dictionary for its syllables, consonants (with word positions) and
+// clusters; words it doesn't know get a spelling-based estimate and "review": true.
+// The entry's "sounds" are all of its consonants in their positions, or only the CSV "target" if given.
+// Prints a diff of the bank. Exits 1 if a row can't be imported or the merged bank has new errors,
+// 2 if the input, dictionary or word bank can't be read.
+const fs = require('fs');
+const path = require('path');
+const WordBank = require('../public/wordbank.js');
+const {
+  POSITIONS, WORD_CLASSES, IMAGE_FOLDERS, canonicalPhoneme,
+  arpabetToIpa, soundsOf, spelledClusters, slugFor, validateWordBank
+} = WordBank;
+
+const DEFAULT_DICT = path.join(__dirname, 'data', 'cmudict-mini.txt');
+const DEFAULT_WORDS = path.join(__dirname, '..', 'public', 'data', 'words-library.json');
+// Sprite folder when neither the row nor its categories pick one
+const CLASS_DEFAULT_FOLDER = { nouns: 'objects', verbs: 'actions', adjectives: 'descriptors' };
+const DERIVED_FIELDS = ['syllables', 'sounds', 'pronunciation', 'clusters'];
+
+// --key value pairs and bare --flags; the first bare argument is the input file
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) { args._.push(argv[i]); continue; }
+    const key = argv[i].slice(2);
+    if (argv[i + 1] != null && !argv[i + 1].startsWith('--')) args[key] = argv[++i];
+    else args[key] = true;
+  }
+  return args;
+}
+const list = (value, sep = ',') => typeof value === 'string' ? value.split(sep).map(v => v.trim()).filter(Boolean) : [];
+
+function readOrExit(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    console.error(`${file}: ${e.message}`);
+    process.exit(2);
+  }
+}
+
+// ---- Input ----
+// One CSV line → fields; handles "quoted, fields" and "" escapes
+function csvFields(line) {
+  const fields = [];
+  let cur = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { fields.push(cur.trim()); cur = ''; }
+    else cur += ch;
+  }
+  fields.push(cur.trim());
+  return fields;
+}
+
+// → [{ word, class?, categories?, target?, folder?, image?, line }]
+function parseInput(text) {
+  const lines = text.split(/\r?\n/).map((raw, i) => ({ raw: raw.trim(), line: i + 1 })).filter(l => l.raw && !l.raw.startsWith('#'));
+  if (!lines.length) return [];
+  const header = csvFields(lines[0].raw).map(h => h.toLowerCase());
+  if (!header.includes('word')) return lines.map(l => ({ word: l.raw, line: l.line }));
+  return lines.slice(1).map(l => {
+    const row = { line: l.line };
+    csvFields(l.raw).forEach((value, i) => { if (header[i] && value) row[header[i]] = value; });
+    return row;
+  });
+}
+
+// "noun", "Verbs" → "nouns", "verbs"; null if it isn't a word class
+function wordClass(value) {
+  const cls = String(value || '').toLowerCase().replace(/s?$/, 's');
+  return WORD_CLASSES.includes(cls) ? cls : null;
+}
+
+// ---- Dictionary ----
+// CMU format: "WORD  PH1 PH2 ..."; alternates ("WORD(2)") and ";;;" comments are skipped
+function loadDictionary(text) {
+  const dict = new Map();
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith(';;;')) continue;
+    const [head, ...phones] = line.trim().split(/\s+/);
+    if (/\(\d+\)$/.test(head) || dict.has(head.toLowerCase())) continue;
+    dict.set(head.toLowerCase(), phones);
+  }
+  return dict;
+}
+
+// Multi-word entries ("trash can") are looked up word by word; null unless every word is known
+function lookUp(dict, word) {
+  const phones = [];
+  for (const token of word.toLowerCase().split(/[\s-]+/).filter(Boolean)) {
+    const found = dict.get(token);
+    if (!found) return null;
+    phones.push(...found);
+  }
+  return arpabetToIpa(phones);
+}
+
+// ---- Spelling fallback ----
+// Consonant spellings, longest first. Good enough to start a review, not to trust.
+const SPELLINGS = [
+  ['tch', ['tʃ']], ['dge', ['dʒ']], ['sch', ['s', 'k']],
+  ['ch', ['tʃ']], ['sh', ['ʃ']], ['th', ['θ']], ['ph', ['f']], ['wh', ['w']], ['ck', ['k']],
+  ['ng', ['ŋ']], ['nk', ['ŋ', 'k']], ['qu', ['k', 'w']], ['gh', []], ['x', ['k', 's']]
+];
+const SINGLE = { b: 'b', d: 'd', f: 'f', h: 'h', j: 'dʒ', k: 'k', l: 'l', m: 'm', n: 'n', p: 'p', r: 'r', s: 's', t: 't', v: 'v', w: 'w', z: 'z' };
+
+// "rocket" → "r ə k ə t": consonant IDs with a schwa standing in for each vowel group
+function estimatePronunciation(word) {
+  const segs = [];
+  for (const token of word.toLowerCase().replace(/[^a-z\s-]/g, '').split(/[\s-]+/).filter(Boolean)) {
+    let w = token.replace(/^kn/, 'n').replace(/^wr/, 'r');
+    // Silent final e (cake; softens bridge, page, face), but "-le" after a consonant is its own syllable (table)
+    if (/[^aeiouy]le$/.test(w)) w = w.slice(0, -2) + 'el';
+    else if (/[^aeiouy]e$/.test(w) && /[aeiouy]/.test(w.slice(0, -2))) w = w.slice(0, -1).replace(/d?g$/, 'j').replace(/c$/, 's');
+    for (let i = 0; i < w.length;) {
+      // y after the first letter, and w closing a vowel (straw, new, cow), belong to the vowel group
+      if (/[aeiou]/.test(w[i]) || (w[i] === 'y' && i > 0) || (w[i] === 'w' && /[aeiou]/.test(w[i - 1] || ''))) {
+        if (segs[segs.length - 1] !== 'ə') segs.push('ə');
+        i++;
+        continue;
+      }
+      const rule = SPELLINGS.find(([g]) => w.startsWith(g, i));
+      if (rule) {
+        if (rule[0] === 'gh' && i === 0) segs.push('g');
+        else segs.push(...rule[1]);
+        i += rule[0].length;
+        continue;
+      }
+      const ch = w[i], next = w[i + 1] || '';
+      let id = ch === 'c' ? (/[eiy]/.test(next) ? 's' : 'k')
+        : ch === 'g' ? (next === 'e' && i === w.length - 2 ? 'dʒ' : 'g')
+        : ch === 'y' ? 'j'
+        : SINGLE[ch];
+      if (id && segs[segs.length - 1] !== id) segs.push(id); // doubled letters are one sound
+      i += ch === next ? 2 : 1;
+    }
+  }
+  return segs.join(' ');
+}
+
+// ---- Entries ----
+// category → sprite folder most used for it in the bank, per class
+function folderIndex(bank) {
+  const index = {};
+  for (const cls of WORD_CLASSES) {
+    const counts = new Map();
+    for (const entry of bank[cls] || []) {
+      const folder = (String(entry.image || '').match(/^sprites\/([^/]+)\//) || [])[1];
+      if (!folder) continue;
+      for (const cat of entry.categories || []) {
+        const byFolder = counts.get(cat) || new Map();
+        byFolder.set(folder, (byFolder.get(folder) || 0) + 1);
+        counts.set(cat, byFolder);
+      }
+    }
+    index[cls] = new Map([...counts].map(([cat, byFolder]) => [cat, [...byFolder].sort((a, b) => b[1] - a[1])[0][0]]));
+  }
+  return index;
+}
+
+// The word's consonants as "sounds", optionally narrowed to a target: "k-final", "k" or "final"
+function pickSounds(sounds, target) {
+  const [, tag, pos] = String(target || '').match(/^(?:(.+?)-)?(initial|medial|final)$/) || [null, target, null];
+  const id = tag ? canonicalPhoneme(tag) : null;
+  if (tag && !id) return { error: `unknown target sound "${tag}"` };
+  const matches = sounds.consonants.filter(c => (!id || c.phoneme === id) && (!pos || c.position === pos));
+  if (!matches.length) return { error: target ? `no ${target} sound in the word` : 'no consonants to target' };
+  const byPhoneme = new Map();
+  matches.forEach(c => byPhoneme.set(c.phoneme, [...(byPhoneme.get(c.phoneme) || []), c.position]));
+  return { sounds: [...byPhoneme].map(([phoneme, ps]) => ({ phoneme, positions: POSITIONS.filter(p => ps.includes(p)) })) };
+}
+
+// One input row → { cls, entry, sounds } or { error }
+function buildEntry(row, options, dict, folders) {
+  const word = String(row.word || '').trim();
+  if (!word) return { error: 'no word' };
+  const cls = row.class ? wordClass(row.class) : options.cls;
+  if (!cls) return { error: `unknown class "${row.class}"` };
+
+  const looked = lookUp(dict, word);
+  const pronunciation = looked || estimatePronunciation(word);
+  const sounds = soundsOf(pronunciation);
+  if (!sounds.syllables) return { error: 'no vowels found' };
+  const target = pickSounds(sounds, row.target);
+  if (target.error) return { error: target.error };
+
+  const categories = row.categories ? list(row.categories, /[;|]/) : options.categories;
+  const folder = row.folder || categories.map(c => folders[cls].get(c)).find(Boolean) || CLASS_DEFAULT_FOLDER[cls];
+  if (!IMAGE_FOLDERS[folder]) return { error: `unknown sprite folder "${folder}"` };
+  const slug = slugFor(word);
+  const clusters = spelledClusters(word, sounds);
+
+  const entry = {
+    word,
+    syllables: sounds.syllables,
+    sounds: target.sounds,
+    slug,
+    image: row.image || `sprites/${folder}/${IMAGE_FOLDERS[folder]}_${slug}.png`
+  };
+  if (categories.length) entry.categories = categories;
+  // A guessed pronunciation would feed minimal pairs, so only dictionary ones are kept
+  if (looked) entry.pronunciation = looked;
+  if (clusters.length) entry.clusters = clusters;
+  if (!looked) entry.review = true;
+  return { cls, entry, sounds };
+}
+
+// ---- Diff ----
+const jsonLines = value => JSON.stringify(value, null, 2).split('\n');
+const fieldLine = (key, value) => `      ${JSON.stringify(key)}: ${jsonLines(value).join('\n      ')}`;
+
+function describeSounds(sounds) {
+  return POSITIONS
+    .map(pos => [pos, sounds.consonants.filter(c => c.position === pos).map(c => c.phoneme)])
+    .filter(([, ids]) => ids.length)
+    .map(([pos, ids]) => `${ids.join(' ')} ${pos}`)
+    .join(' · ');
+}
+
+// ---- Main ----
+const args = parseArgs(process.argv.slice(2));
+const input = args._[0];
+if (!input) {
+  console.error('Usage: node tools/import-words.js <words.txt|words.csv> [--class nouns] [--categories a,b] [--update] [--write]');
+  process.exit(2);
+}
+const rows = parseInput(readOrExit(input));
+const dict = loadDictionary(readOrExit(args.dict || DEFAULT_DICT));
+const wordsFile = args.words || DEFAULT_WORDS;
+let bank;
+try {
+  bank = JSON.parse(readOrExit(wordsFile));
+} catch (e) {
+  console.error(`${wordsFile}: ${e.message}`);
+  process.exit(2);
+}
+const options = { cls: wordClass(args.class || 'nouns'), categories: list(args.categories) };
+if (!options.cls) {
+  console.error(`Unknown class "${args.class}". Use one of: ${WORD_CLASSES.join(', ')}.`);
+  process.exit(2);
+}
+
+const before = validateWordBank(bank);
+const folders = folderIndex(bank);
+const merged = JSON.parse(JSON.stringify(bank));
+const seen = new Set();
+const hunks = [];
+const stats = { added: 0, updated: 0, existing: 0, review: 0, failed: 0 };
+
+for (const row of rows) {
+  const built = buildEntry(row, options, dict, folders);
+  if (built.error) {
+    console.error(`${input}:${row.line} "${row.word || ''}": ${built.error}`);
+    stats.failed++;
+    continue;
+  }
+  const { cls, entry, sounds } = built;
+  const key = `${cls}|${entry.word.toLowerCase()}`;
+  if (seen.has(key)) continue;
+  seen.add(key);
+  if (entry.review) stats.review++;
+  const about = `${sounds.syllables} syllable${sounds.syllables > 1 ? 's' : ''}; ${describeSounds(sounds)}${entry.review ? '; estimated from spelling, needs review' : ''}`;
+
+  merged[cls] = merged[cls] || [];
+  const existing = merged[cls].map((e, i) => [e, i]).filter(([e]) => e && String(e.word).toLowerCase() === entry.word.toLowerCase());
+  if (!existing.length) {
+    merged[cls].push(entry);
+    stats.added++;
+    hunks.push([`@@ ${cls} + "${entry.word}" — ${about} @@`, ...jsonLines(entry).map(l => `+    ${l}`)]);
+    continue;
+  }
+
+  // Words already in the bank keep their picture, categories and verb frame; only their sounds are refreshed
+  let changed = false;
+  for (const [old, i] of existing) {
+    const lines = [];
+    for (const field of DERIVED_FIELDS) {
+      const next = entry[field];
+      if (next === undefined || JSON.stringify(old[field]) === JSON.stringify(next)) continue;
+      if (old[field] !== undefined) lines.push(...fieldLine(field, old[field]).split('\n').map(l => `-${l}`));
+      lines.push(...fieldLine(field, next).split('\n').map(l => `+${l}`));
+      if (args.update) old[field] = next;
+    }
+    if (lines.length) {
+      changed = true;
+      hunks.push([`@@ ${cls}[${i}] "${old.word}"${args.update ? '' : ' (not applied without --update)'} — ${about} @@`, ...lines]);
+    }
+  }
+  if (changed && args.update) stats.updated++;
+  else stats.existing++;
+}
+
+console.log(`--- ${wordsFile}`);
+console.log(`+++ ${wordsFile} (imported from ${input})`);
+hunks.forEach(lines => console.log(lines.join('\n')));
+console.log(`${stats.added} added, ${stats.updated} updated, ${stats.existing} left as they were, ${stats.review} flagged for review, ${stats.failed} skipped`);
+
+// Only problems the import introduced count against it
+const after = validateWordBank(merged);
+const known = new Set(before.errors.map(e => `${e.path}: ${e.message}`));
+const introduced = after.errors.filter(e => !known.has(`${e.path}: ${e.message}`));
+introduced.forEach(e => console.error(`error    ${e.path}: ${e.message}`));
+
+const target = typeof args.out === 'string' ? args.out : args.write ? wordsFile : null;
+if (target && (stats.added || stats.updated)) {
+  fs.writeFileSync(target, JSON.stringify(merged, null, 2));
+  console.log(`Wrote ${target}`);
+} else if (!target && (stats.added || stats.updated)) {
+  console.log('Preview only: run again with --write to save.');
+}
+process.exit(stats.failed || introduced.length ? 1 : 0);
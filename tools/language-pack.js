@@ -0,0 +1,28 @@
+// ====== Speech Scenes — language packs for the Node tools ======
+// Shared by lint-words.js, migrate-words.js and render-scene.js: looks a --lang code up in
+// public/data/languages.json, exiting with status 2 (like the tools' other read errors) if the
+// manifest can't be read or doesn't list the code.
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST = path.join(__dirname, '..', 'public', 'data', 'languages.json');
+
+// The pack's manifest entry ({ code, name, words, phonemes? }); null without a code (English, built in)
+function languagePack(code) {
+  if (!code) return null;
+  let packs;
+  try {
+    packs = JSON.parse(fs.readFileSync(MANIFEST, 'utf8')).languages || [];
+  } catch (e) {
+    console.error(`${MANIFEST}: ${e.message}`);
+    process.exit(2);
+  }
+  const pack = packs.find(p => p.code === code);
+  if (!pack) {
+    console.error(`Unknown language "${code}". Use one of: ${packs.map(p => p.code).join(', ')}.`);
+    process.exit(2);
+  }
+  return pack;
+}
+
+module.exports = { languagePack };
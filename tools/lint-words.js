@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// ====== Speech Scenes — word bank linter ======
+// Usage: node tools/lint-words.js [path/to/words.json] [--lang <code>] [--strict]
+// Defaults to public/data/words-library.json, or with --lang to that language pack's word bank,
+// checked against the pack's sounds (public/data/languages.json). Exits 1 on errors (or warnings
+// with --strict), 2 if the file or the language pack can't be read or parsed.
+const fs = require('fs');
+const path = require('path');
+const { validateWordBank, formatReport, packInventory } = require('../public/wordbank.js');
+const { languagePack } = require('./language-pack.js');
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const langAt = args.indexOf('--lang');
+const lang = langAt >= 0 ? args[langAt + 1] : null;
+const positional = args.filter((a, i) => !a.startsWith('--') && (langAt < 0 || i !== langAt + 1));
+
+// The --lang pack from the manifest (null without --lang: English, built in)
+const pack = languagePack(lang);
+const inventory = packInventory(pack);
+const file = positional[0] || path.join(__dirname, '..', 'public', pack ? pack.words : 'data/words-library.json');
+
+let bank;
+try {
+  bank = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch (e) {
+  console.error(`${file}: ${e.message}`);
+  process.exit(2);
+}
+
+const result = validateWordBank(bank, inventory);
+const summary = Object.entries(result.counts).map(([cls, n]) => `${n} ${cls}`).join(', ');
+console.log(`${file}${summary ? ` (${summary})` : ''}`);
+console.log(formatReport(result));
+process.exit(result.errors.length || (strict && result.warnings.length) ? 1 : 0);
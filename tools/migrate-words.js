@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// ====== Speech Scenes — word bank migration ======
+// Usage: node tools/migrate-words.js [path/to/words.json] [--lang <code>] [--dry-run]
+// Rewrites single-position entries ("position" + "phonemes") as per-sound "sounds" and merges
+// words that were listed once per position. The app does the same on load; this saves it to the file.
+// --lang reads the sounds from that language pack (public/data/languages.json) and defaults to its word bank.
+// Exits 1 if the migrated bank still has errors, 2 if the file or the language pack can't be read or parsed.
+const fs = require('fs');
+const path = require('path');
+const { migrateWordBank, validateWordBank, formatReport, packInventory } = require('../public/wordbank.js');
+const { languagePack } = require('./language-pack.js');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const langAt = args.indexOf('--lang');
+const lang = langAt >= 0 ? args[langAt + 1] : null;
+const positional = args.filter((a, i) => !a.startsWith('--') && (langAt < 0 || i !== langAt + 1));
+
+// The --lang pack from the manifest (null without --lang: English, built in)
+const pack = languagePack(lang);
+const inventory = packInventory(pack);
+const file = positional[0] || path.join(__dirname, '..', 'public', pack ? pack.words : 'data/words-library.json');
+
+let bank;
+try {
+  bank = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch (e) {
+  console.error(`${file}: ${e.message}`);
+  process.exit(2);
+}
+
+const notes = migrateWordBank(bank, inventory);
+notes.forEach(n => console.log(`${n.path}: ${n.message}`));
+console.log(`${notes.length} change(s)`);
+if (notes.length && !dryRun) {
+  fs.writeFileSync(file, JSON.stringify(bank, null, 2));
+  console.log(`Wrote ${file}`);
+}
+
+const result = validateWordBank(bank, inventory);
+if (result.errors.length) console.log(formatReport(result));
+process.exit(result.errors.length ? 1 : 0);
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// ====== Speech Scenes — command-line scene renderer ======
+// Usage: node tools/render-scene.js --type i-spy --phonemes s,ʃ [options]
+//   --type <scene>          i-spy, actions, mixed, sentence, story, descriptive, bingo, bingo-caller, memory, minimal-pairs
+//   --count <n>             items / sentences / cards / pairs, as in the app
+//   --lang <code>           language pack from public/data/languages.json (default: en): its word bank,
+//                           sounds, sentence grammar and notes
+//   --phonemes <list>       IPA phonemes (any alias in the pack's inventory works), comma-separated
+//   --clusters <list>       letter clusters, e.g. st,spr
+//   --positions <list>      initial,medial,final (default: all three)
+//   --syllables <list>      1,2,3,4plus (default: any)
+//   --categories <list>     word categories (default: any); --themed picks one per page
+//   --layout <mode>         scatter, grid or shelf
+//   --seed <seed>           same seed + options → same page as the app's shared link
+//   --pages <n>             pack of n pages (seeded like the app's PDF pack); --unique avoids repeated targets
+//   --board 3|4|5, --no-free, --memory picture-word, --pairs s,ʃ   game options
+//   --frame <frame>         sentence frame: subject-verb-object, i-verb-object or i-see
+//   --tense <tense>         present, progressive or past; --captions writes each sentence under its pictures
+//   --shuffle               story strips as a shuffled cut-out sheet
+//   --character <name>      pin the sentence/story subject (public/data/characters.json); --name-sounds
+//                           prefers characters whose names have the target sounds
+//   --no-labels, --outline, --adjectives, --backgrounds             page options
+//   --words <file>          word bank (default: the pack's, public/data/words-library.json for English)
+//   --out <dir>             output directory (default: current directory)
+// Writes <type>-<seed>-p<n>.json (the scene document plus its sentences) and .svg for every page.
+// Exits 1 if a page can't be generated, 2 if the word bank or language pack can't be read.
+const fs = require('fs');
+const path = require('path');
+const { validateWordBank, packInventory } = require('../public/wordbank.js');
+const SceneCore = require('../public/scene-core.js');
+const { languagePack } = require('./language-pack.js');
+
+const PUBLIC = path.join(__dirname, '..', 'public');
+const MIME = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.svg': 'image/svg+xml', '.webp': 'image/webp' };
+
+// --key value pairs and bare --flags; --no-x sets x to false
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    if (key.startsWith('no-')) args[key.slice(3)] = false;
+    else if (argv[i + 1] != null && !argv[i + 1].startsWith('--')) args[key] = argv[++i];
+    else args[key] = true;
+  }
+  return args;
+}
+const list = value => typeof value === 'string' ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+
+// Pictures are embedded so each SVG stands alone; missing files fall back to blocks like the app
+function imageHref(file) {
+  const abs = path.join(PUBLIC, file);
+  if (!fs.existsSync(abs)) return null;
+  const mime = MIME[path.extname(file).toLowerCase()] || 'application/octet-stream';
+  return `data:${mime};base64,${fs.readFileSync(abs).toString('base64')}`;
+}
+
+function backgroundList() {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(PUBLIC, 'data', 'backgrounds.json'), 'utf8'));
+    return (manifest.backgrounds || []).filter(file => fs.existsSync(path.join(PUBLIC, file)));
+  } catch (e) {
+    return [];
+  }
+}
+
+function characterList(inventory) {
+  try {
+    return SceneCore.normalizeCharacters(JSON.parse(fs.readFileSync(path.join(PUBLIC, 'data', 'characters.json'), 'utf8')).characters, inventory);
+  } catch (e) {
+    return [];
+  }
+}
+
+const args = parseArgs(process.argv.slice(2));
+const pack = languagePack(typeof args.lang === 'string' ? args.lang : 'en');
+const inventory = packInventory(pack);
+const wordsFile = args.words || path.join(PUBLIC, pack.words);
+let bank;
+try {
+  bank = JSON.parse(fs.readFileSync(wordsFile, 'utf8'));
+  const report = validateWordBank(bank, inventory);
+  if (report.fatal) throw new Error(report.errors.map(e => e.message).join('; '));
+} catch (e) {
+  console.error(`${wordsFile}: ${e.message}`);
+  process.exit(2);
+}
+SceneCore.normalizeBank(bank, inventory);
+const canonical = tag => inventory.canonical(tag) || tag.toLowerCase();
+
+const type = args.type || 'i-spy';
+if (!SceneCore.SCENE_TYPES.includes(type)) {
+  console.error(`Unknown scene type "${type}". Use one of: ${SceneCore.SCENE_TYPES.join(', ')}.`);
+  process.exit(1);
+}
+const seed = String(args.seed || Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0'));
+const nPages = Math.max(1, Math.min(30, parseInt(args.pages, 10) || 1));
+const [target, contrast] = list(args.pairs).map(canonical);
+const defaults = SceneCore.defaultOptions();
+const options = {
+  type,
+  count: args.count || defaults.count,
+  seed,
+  layout: SceneCore.LAYOUT_MODES.includes(args.layout) ? args.layout : defaults.layout,
+  filters: {
+    phonemes: list(args.phonemes).map(canonical),
+    clusters: list(args.clusters),
+    positions: args.positions ? list(args.positions) : defaults.filters.positions,
+    syllables: list(args.syllables),
+    categories: list(args.categories)
+  },
+  labels: args.labels !== false,
+  outline: !!args.outline,
+  adjectives: !!args.adjectives,
+  backgrounds: args.backgrounds ? backgroundList() : [],
+  themed: !!args.themed,
+  bingo: { size: args.board || defaults.bingo.size, free: args.free !== false },
+  memory: args.memory === 'picture-word' ? 'picture-word' : defaults.memory,
+  pairs: { target: target || defaults.pairs.target, contrast: contrast || defaults.pairs.contrast },
+  sentence: { frame: args.frame || defaults.sentence.frame, tense: args.tense || defaults.sentence.tense, captions: !!args.captions },
+  story: { shuffled: !!args.shuffle },
+  characters: characterList(inventory),
+  character: { pinned: typeof args.character === 'string' ? args.character : '', matchSounds: !!args['name-sounds'] },
+  // Packs share these across pages, as in the app: bingo cards differ, other targets don't repeat if asked
+  exclude: args.unique && type !== 'bingo' ? new Set() : null,
+  bingoCards: type === 'bingo' ? new Set() : null,
+  language: pack.code,
+  inventory
+};
+
+const outDir = typeof args.out === 'string' ? args.out : process.cwd();
+fs.mkdirSync(outDir, { recursive: true });
+
+for (let i = 0; i < nPages; i++) {
+  // A single page uses the seed as-is so it matches the app's preview for the same link
+  const result = SceneCore.generateScene(bank, { ...options, pageSeed: nPages > 1 ? `${seed}-p${i + 1}` : null });
+  if (!result.ok) {
+    console.error(`Page ${i + 1}: ${result.reason}`);
+    process.exit(1);
+  }
+  const { doc } = result;
+  if (options.exclude) SceneCore.docWords(doc).forEach(item => options.exclude.add(item.word));
+
+  const base = path.join(outDir, `${type}-${seed}-p${i + 1}`);
+  fs.writeFileSync(`${base}.json`, JSON.stringify({ ...doc, sentences: SceneCore.docSentences(doc) }, null, 2));
+  fs.writeFileSync(`${base}.svg`, SceneCore.sceneToSvg(doc, { imageHref }));
+  const words = SceneCore.docWords(doc).map(item => item.word);
+  console.log(`${base}.svg — ${words.length} target(s): ${words.join(', ')}`);
+  doc.notes.forEach(note => console.log(`  ${note}`));
+}